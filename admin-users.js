@@ -0,0 +1,99 @@
+/**
+ * Gözleme Finder — Admin Account Manager
+ *
+ * Creates and manages the named accounts that can sign in to /admin.
+ * Accounts are stored with hashed passwords in data/admins.json (or
+ * ADMIN_USERS_FILE). Passwords are prompted for, never passed as arguments.
+ *
+ * Usage:
+ *   node admin-users.js list
+ *   node admin-users.js add <username>
+ *   node admin-users.js passwd <username>
+ *   node admin-users.js remove <username>
+ */
+
+require('dotenv').config();
+
+const path     = require('path');
+const readline = require('readline');
+
+const { createAdminAuth } = require('./lib/admin-auth');
+
+const auth = createAdminAuth({
+  // Only used to sign session tokens, which this script never does
+  secret: 'unused',
+  ...(process.env.ADMIN_USERS_FILE ? { file: process.env.ADMIN_USERS_FILE } : {}),
+});
+
+// Reads a line without echoing it. Lines are queued, so passwords can also
+// be piped in from a setup script.
+let rl = null;
+const lines   = [];
+const waiting = [];
+
+function promptHidden(question) {
+  if (!rl) {
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !!process.stdin.isTTY });
+    rl._writeToOutput = () => {};   // don't echo what's typed
+    rl.on('line',  line => (waiting.length ? waiting.shift()(line) : lines.push(line)));
+    rl.on('close', () => { while (waiting.length) waiting.shift()(null); });
+  }
+  process.stdout.write(question);
+  return new Promise((resolve, reject) => {
+    const done = (line) => {
+      process.stdout.write('\n');
+      if (line === null) return reject(new Error('No password entered'));
+      resolve(line);
+    };
+    lines.length ? done(lines.shift()) : waiting.push(done);
+  });
+}
+
+async function promptNewPassword() {
+  const password = await promptHidden('Password: ');
+  const confirm  = await promptHidden('Confirm password: ');
+  if (password !== confirm) throw new Error('Passwords do not match');
+  return password;
+}
+
+async function run() {
+  const [command, username] = process.argv.slice(2);
+  const where = path.relative(process.cwd(), auth.file);
+
+  switch (command) {
+    case 'list': {
+      const users = await auth.listUsers();
+      if (!users.length) console.log('No admin accounts in ' + where);
+      for (const u of users) console.log(u.username.padEnd(20) + ' created ' + u.createdAt + '  password changed ' + u.passwordChangedAt);
+      return;
+    }
+
+    case 'add':
+      if (!username) break;
+      await auth.addUser(username, await promptNewPassword());
+      console.log('Added ' + username.toLowerCase() + ' to ' + where);
+      return;
+
+    case 'passwd':
+      if (!username) break;
+      await auth.setPassword(username, await promptNewPassword());
+      console.log('Password changed for ' + username + ' — existing sessions are signed out');
+      return;
+
+    case 'remove':
+      if (!username) break;
+      await auth.removeUser(username);
+      console.log('Removed ' + username + ' from ' + where);
+      return;
+  }
+
+  console.error('Usage: node admin-users.js list | add <username> | passwd <username> | remove <username>');
+  process.exitCode = 1;
+}
+
+run().then(() => {
+  if (rl) rl.close();
+}).catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Gözleme Finder — data tools
+ *
+ *   gozleme <command> [options]
+ *
+ * See lib/cli.js, or run `gozleme --help` for the list of commands.
+ */
+
+require('../lib/cli').run(process.argv.slice(2));
@@ -0,0 +1,250 @@
+/**
+ * Gözleme Finder — Admin Accounts & Sessions
+ *
+ * Named admin accounts with scrypt-hashed passwords, stored in
+ * data/admins.json and managed with `node admin-users.js`.
+ *
+ * Signing in issues a session token (payload + HMAC signature) that the
+ * server sets as an HttpOnly cookie. Tokens are checked against the
+ * accounts file on every request, so removing an account or changing its
+ * password signs that user out everywhere.
+ *
+ * Repeated failed logins lock the username, and separately the client IP,
+ * for a while. Lockouts and logged-out tokens are kept in memory only.
+ *
+ * Accounts file shape:
+ *   { users: [{ username, salt, hash, createdAt, passwordChangedAt }] }
+ */
+
+const fs     = require('fs');
+const fsp    = fs.promises;
+const path   = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'admins.json');
+
+const KEY_LENGTH          = 64;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN    = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+// Usernames are stored lowercase, so any case of one names the same user
+const normaliseUsername = username => String(username || '').trim().toLowerCase();
+
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key.toString('hex'))));
+  });
+}
+
+function authError(message, status, retryAfter) {
+  const err = new Error(message);
+  err.status = status;
+  if (retryAfter) err.retryAfter = retryAfter;
+  return err;
+}
+
+// Options:
+//   file            — accounts file
+//   secret          — key for signing session tokens
+//   sessionHours    — how long a login lasts
+//   maxFailures     — failed logins for one username before it is locked
+//   maxIpFailures   — failed logins from one IP before it is locked
+//   lockoutMinutes  — how long a lock lasts; failures older than this are forgotten
+function createAdminAuth({
+  file = DEFAULT_FILE,
+  secret,
+  sessionHours = 12,
+  maxFailures = 5,
+  maxIpFailures = 20,
+  lockoutMinutes = 15,
+} = {}) {
+  if (!secret) throw new Error('createAdminAuth: a session secret is required');
+
+  const lockoutMs = lockoutMinutes * 60 * 1000;
+  const failures  = new Map();   // 'user:<name>' | 'ip:<addr>' → { count, first, lockedUntil }
+  const revoked   = new Map();   // session id → expiry, for tokens signed out before they expire
+
+  // ── Accounts file ──────────────────────────────────────────────────────────
+
+  async function readUsers() {
+    try {
+      return JSON.parse(await fsp.readFile(file, 'utf8')).users || [];
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function writeUsers(users) {
+    const tmp = file + '.' + process.pid + '.tmp';
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify({ users }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    await fsp.rename(tmp, file);
+  }
+
+  function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw authError('Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters', 400);
+    }
+  }
+
+  async function hasUsers() {
+    return (await readUsers()).length > 0;
+  }
+
+  async function listUsers() {
+    return (await readUsers()).map(({ username, createdAt, passwordChangedAt }) => ({ username, createdAt, passwordChangedAt }));
+  }
+
+  async function addUser(username, password) {
+    username = normaliseUsername(username);
+    if (!USERNAME_PATTERN.test(username)) {
+      throw authError('Usernames are 2–32 characters: lowercase letters, digits, ".", "_" or "-"', 400);
+    }
+    checkPassword(password);
+
+    const users = await readUsers();
+    if (users.some(u => u.username === username)) throw authError('User already exists: ' + username, 409);
+
+    const now  = new Date().toISOString();
+    const salt = crypto.randomBytes(16).toString('hex');
+    users.push({ username, salt, hash: await hashPassword(password, salt), createdAt: now, passwordChangedAt: now });
+    await writeUsers(users);
+  }
+
+  async function setPassword(username, password) {
+    username = normaliseUsername(username);
+    checkPassword(password);
+    const users = await readUsers();
+    const user  = users.find(u => u.username === username);
+    if (!user) throw authError('No such user: ' + username, 404);
+
+    user.salt = crypto.randomBytes(16).toString('hex');
+    user.hash = await hashPassword(password, user.salt);
+    user.passwordChangedAt = new Date().toISOString();
+    await writeUsers(users);
+  }
+
+  async function removeUser(username) {
+    username = normaliseUsername(username);
+    const users = await readUsers();
+    const rest  = users.filter(u => u.username !== username);
+    if (rest.length === users.length) throw authError('No such user: ' + username, 404);
+    await writeUsers(rest);
+  }
+
+  // ── Failed-login tracking ──────────────────────────────────────────────────
+
+  // Seconds until `key` is unlocked, or 0 if it isn't locked.
+  function lockedFor(key, now) {
+    const f = failures.get(key);
+    if (!f) return 0;
+    if (f.lockedUntil > now) return Math.ceil((f.lockedUntil - now) / 1000);
+    if (now - f.first > lockoutMs) failures.delete(key);
+    return 0;
+  }
+
+  function recordFailure(key, limit, now) {
+    let f = failures.get(key);
+    if (!f || now - f.first > lockoutMs) f = { count: 0, first: now, lockedUntil: 0 };
+    f.count++;
+    if (f.count >= limit) f.lockedUntil = now + lockoutMs;
+    failures.set(key, f);
+  }
+
+  // ── Sessions ───────────────────────────────────────────────────────────────
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  function issueToken(username) {
+    const now     = Date.now();
+    const payload = Buffer.from(JSON.stringify({
+      u:   username,
+      sid: crypto.randomBytes(12).toString('hex'),
+      iat: now,
+      exp: now + sessionHours * 3600 * 1000,
+    })).toString('base64url');
+    return payload + '.' + sign(payload);
+  }
+
+  // Returns the token's payload if its signature is valid and it hasn't
+  // expired or been signed out, else null.
+  function decodeToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given    = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+    if (!session.exp || session.exp < Date.now() || revoked.has(session.sid)) return null;
+    return session;
+  }
+
+  // Checks a username and password. Resolves with a session token, or
+  // rejects with status 401 (bad credentials) or 429 (locked out).
+  async function login(username, password, ip) {
+    const now     = Date.now();
+    const name    = normaliseUsername(username);
+    const userKey = 'user:' + name;
+    const ipKey   = 'ip:' + (ip || 'unknown');
+
+    const wait = Math.max(lockedFor(userKey, now), lockedFor(ipKey, now));
+    if (wait) throw authError('Too many failed attempts — try again in ' + Math.ceil(wait / 60) + ' min', 429, wait);
+
+    const user = (await readUsers()).find(u => u.username === name);
+    // Hash even for unknown users so response time doesn't reveal which names exist
+    const hash = await hashPassword(String(password || ''), user ? user.salt : 'no-such-user');
+    const ok   = !!user && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.hash, 'hex'));
+
+    if (!ok) {
+      recordFailure(userKey, maxFailures, now);
+      recordFailure(ipKey, maxIpFailures, now);
+      throw authError('Wrong username or password', 401);
+    }
+
+    failures.delete(userKey);
+    return { username: user.username, token: issueToken(user.username) };
+  }
+
+  // Resolves with the username a token belongs to, or null if it is invalid,
+  // expired, signed out, or its account was removed or changed password.
+  async function verify(token) {
+    const session = decodeToken(token);
+    if (!session) return null;
+    const user = (await readUsers()).find(u => u.username === session.u);
+    if (!user || Date.parse(user.passwordChangedAt) > session.iat) return null;
+    return user.username;
+  }
+
+  function logout(token) {
+    const session = decodeToken(token);
+    if (!session) return;
+    revoked.set(session.sid, session.exp);
+    for (const [sid, exp] of revoked) if (exp < Date.now()) revoked.delete(sid);
+  }
+
+  return {
+    file,
+    sessionSeconds: sessionHours * 3600,
+    hasUsers,
+    listUsers,
+    addUser,
+    setPassword,
+    removeUser,
+    login,
+    verify,
+    logout,
+  };
+}
+
+module.exports = { createAdminAuth, MIN_PASSWORD_LENGTH };
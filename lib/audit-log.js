@@ -0,0 +1,110 @@
+/**
+ * Gözleme Finder — Admin Audit Log
+ *
+ * Append-only record of every admin change, one JSON entry per line in
+ * data/audit.jsonl. Entries are never rewritten: undoing a change appends a
+ * new entry with `undoOf` pointing at the original, and readers derive
+ * `undoneBy` from that.
+ *
+ * Entry shape:
+ *   {
+ *     id, at, user,
+ *     action:     'update' | 'refresh' | 'create' | 'promote' | 'delete' | 'reorder',
+ *     collection: 'spots' | 'curated',
+ *     spotId, spotName,
+ *     before, after,   // changed fields only for updates; whole spot for create/delete
+ *     position?,       // index of a deleted curated spot, so undo can restore it in place
+ *     undoOf?,         // id of the entry this one reverted
+ *   }
+ */
+
+const fs     = require('fs');
+const fsp    = fs.promises;
+const path   = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+const DAY       = 24 * 3600 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A `since` or `until` filter as a time in ms. A date without a time
+// ("2026-10-19") covers that whole UTC day, so `until` runs to its end.
+function filterTime(value, { end = false } = {}) {
+  const time = Date.parse(value);
+  return end && DATE_ONLY.test(value) ? time + DAY - 1 : time;
+}
+
+function createAuditLog({ file = DEFAULT_FILE } = {}) {
+  async function readAll() {
+    let raw;
+    try {
+      raw = await fsp.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        console.warn('Audit log: skipping unreadable line in ' + path.basename(file));
+      }
+    }
+
+    // Mark entries that a later entry reverted
+    const undoneBy = new Map(entries.filter(e => e.undoOf).map(e => [e.undoOf, e.id]));
+    for (const entry of entries) {
+      if (undoneBy.has(entry.id)) entry.undoneBy = undoneBy.get(entry.id);
+    }
+    return entries;
+  }
+
+  // Appends an entry, filling in `id` and `at`. Returns the stored entry.
+  async function record(entry) {
+    const stored = {
+      id: 'a_' + crypto.randomBytes(6).toString('hex'),
+      at: new Date().toISOString(),
+      ...entry,
+    };
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.appendFile(file, JSON.stringify(stored) + '\n', 'utf8');
+    return stored;
+  }
+
+  // Newest first. Filters (all optional):
+  //   spotId, user, action, collection — exact match
+  //   since, until                     — ISO timestamps or dates, inclusive
+  //   q                                — case-insensitive match on the spot name
+  //   limit (default 100), offset
+  // Returns { entries, total } where total counts every match before paging.
+  async function list(filter = {}) {
+    const q     = (filter.q || '').toLowerCase();
+    const since = filter.since && filterTime(filter.since);
+    const until = filter.until && filterTime(filter.until, { end: true });
+    const matches = (await readAll()).reverse().filter(e =>
+      (!filter.spotId     || e.spotId     === filter.spotId) &&
+      (!filter.user       || e.user       === filter.user) &&
+      (!filter.action     || e.action     === filter.action) &&
+      (!filter.collection || e.collection === filter.collection) &&
+      (!filter.since      || Date.parse(e.at) >= since) &&
+      (!filter.until      || Date.parse(e.at) <= until) &&
+      (!q                 || (e.spotName || '').toLowerCase().includes(q))
+    );
+
+    const offset = filter.offset || 0;
+    const limit  = filter.limit  || 100;
+    return { entries: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  async function get(id) {
+    return (await readAll()).find(e => e.id === id) || null;
+  }
+
+  return { file, record, list, get };
+}
+
+module.exports = { createAuditLog };
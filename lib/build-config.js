@@ -0,0 +1,206 @@
+/**
+ * Gözleme Finder — Regions and Builder Config
+ *
+ * A region is a city the app covers: where it is, which areas Claude is
+ * asked about and which postcode districts are searched on Google Places.
+ * Each lives in a file in regions/ named after its id:
+ *
+ *   {
+ *     "id":        "london",
+ *     "name":      "London",              // shown in the region switcher
+ *     "city":      "London",              // used in searches and prompts
+ *     "country":   "UK",
+ *     "timeZone":  "Europe/London",       // for opening hours
+ *     "center":    { "latitude": 51.5074, "longitude": -0.1278 },
+ *     "searchCenter": { "latitude": 51.52, "longitude": -0.07 },  // optional, see below
+ *     "boundary":  [[-0.55, 51.28], [0.35, 51.28], [0.35, 51.70], [-0.55, 51.70]],
+ *     "areas":     ["Hackney and Dalston", "Brixton and Peckham"],
+ *     "postcodes": {
+ *       "ranges":  [["E", 1, 18], ["N", 1, 22]],   // area, first and last district
+ *       "sectors": [1, 2, 3, 4, 5, 6, 7, 8, 9, 0]  // searched as "<district> <sector>AA"
+ *     },
+ *     "genericWords": ["uk", "england"]            // optional, see below
+ *   }
+ *
+ * `boundary` is a polygon of [longitude, latitude] points around the city;
+ * spots the builders place outside it are dropped (Places results) or left
+ * without coordinates (geocoded AI spots), and the server rejects geocodes
+ * outside it. Leave it out to accept anywhere. `searchCenter` is where the
+ * Google Places searches look when the page gives no position, for a city
+ * whose spots cluster away from its centre (London's are east of it); it
+ * defaults to `center`. A region without postcode
+ * districts has an empty `ranges` list.
+ *
+ * Spot names often carry their city ("Efes Restaurant London"), so when
+ * spots are matched (lib/entity-match.js) the words of a region's city,
+ * name and country are ignored like "restaurant" is — along with its
+ * `genericWords`, for other names the city goes by. Elsewhere they still
+ * count: "London Grill" in Manchester is told apart by "london".
+ *
+ * London is the default region. `gozleme --region <id>` runs the data tools
+ * for another; `gozleme --config file.json` (or GOZLEME_CONFIG) loads a file
+ * laid over London's settings instead. A config file without an `id` is
+ * named after its city.
+ *
+ * Spots carry the id of their region in `region`; spots from before regions
+ * existed have none and belong to London.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { pointInPolygon } = require('./geo');
+
+const REGIONS_DIR    = path.join(__dirname, '..', 'regions');
+const DEFAULT_REGION = 'london';
+
+const REGION_ID = /^[a-z0-9-]{1,40}$/;
+
+function configError(file, message) {
+  return new Error('Config ' + path.basename(file) + ': ' + message);
+}
+
+function validTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validate(config, file) {
+  if (typeof config.id !== 'string' || !REGION_ID.test(config.id)) throw configError(file, '"id" must be lower-case letters, digits and dashes');
+  for (const field of ['name', 'city', 'country']) {
+    if (typeof config[field] !== 'string' || !config[field].trim()) throw configError(file, '"' + field + '" must be a name');
+  }
+  if (typeof config.timeZone !== 'string' || !validTimeZone(config.timeZone)) {
+    throw configError(file, '"timeZone" must be an IANA time zone such as "Europe/London"');
+  }
+  const c = config.center;
+  if (!c || typeof c.latitude !== 'number' || typeof c.longitude !== 'number') {
+    throw configError(file, '"center" must be { latitude, longitude }');
+  }
+  const s = config.searchCenter;
+  if (s != null && !(typeof s.latitude === 'number' && typeof s.longitude === 'number')) {
+    throw configError(file, '"searchCenter" must be { latitude, longitude }');
+  }
+  const b = config.boundary;
+  const validPoint = p => Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number' && Number.isFinite(n));
+  if (b != null && !(Array.isArray(b) && b.length >= 3 && b.every(validPoint))) {
+    throw configError(file, '"boundary" must be a list of at least 3 [longitude, latitude] points');
+  }
+  if (!Array.isArray(config.areas) || !config.areas.every(a => typeof a === 'string' && a.trim())) {
+    throw configError(file, '"areas" must be a list of area names');
+  }
+  const { ranges, sectors } = config.postcodes;
+  const validRange = r => Array.isArray(r) && r.length === 3 && /^[A-Z]{1,2}$/.test(r[0])
+    && Number.isInteger(r[1]) && Number.isInteger(r[2]) && r[1] <= r[2];
+  if (!Array.isArray(ranges) || !ranges.every(validRange)) {
+    throw configError(file, '"postcodes.ranges" must be a list of ["AREA", first, last]');
+  }
+  if (!Array.isArray(sectors) || !sectors.every(s => Number.isInteger(s) && s >= 0 && s <= 9)) {
+    throw configError(file, '"postcodes.sectors" must be digits 0–9');
+  }
+  const words = config.genericWords;
+  if (words != null && !(Array.isArray(words) && words.every(w => typeof w === 'string' && w.trim()))) {
+    throw configError(file, '"genericWords" must be a list of words');
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw configError(file, err.code === 'ENOENT' ? 'file not found' : err.message);
+  }
+}
+
+function readRegion(file) {
+  const region = readJson(file);
+  validate(region, file);
+  if (region.id !== path.basename(file, '.json')) throw configError(file, '"id" must match the file name');
+  return region;
+}
+
+const DEFAULT_CONFIG = readRegion(path.join(REGIONS_DIR, DEFAULT_REGION + '.json'));
+
+// Returns the config with `file` (if given) laid over the defaults.
+function loadConfig(file) {
+  if (!file) return DEFAULT_CONFIG;
+
+  const custom = readJson(file);
+  const slug   = name => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...custom,
+    id:        custom.id || (custom.city && custom.city !== DEFAULT_CONFIG.city ? slug(custom.city) : DEFAULT_CONFIG.id),
+    name:      custom.name || custom.city || DEFAULT_CONFIG.name,
+    postcodes: { ...DEFAULT_CONFIG.postcodes, ...(custom.postcodes || {}) },
+  };
+  // London's search centre is no use to a file that moves the centre
+  if (custom.center && !custom.searchCenter) delete config.searchCenter;
+  validate(config, file);
+  return config;
+}
+
+// The region with this id, from regions/<id>.json
+function loadRegion(id) {
+  if (!REGION_ID.test(String(id))) throw new Error('Unknown region: ' + id);
+  const file = path.join(REGIONS_DIR, id + '.json');
+  if (!fs.existsSync(file)) {
+    throw new Error('Unknown region: ' + id + ' — known regions: ' + listRegions().map(r => r.id).join(', '));
+  }
+  return readRegion(file);
+}
+
+// Every region in regions/, the default first, then by name
+function listRegions() {
+  return fs.readdirSync(REGIONS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => readRegion(path.join(REGIONS_DIR, f)))
+    .sort((a, b) => (b.id === DEFAULT_REGION) - (a.id === DEFAULT_REGION) || a.name.localeCompare(b.name));
+}
+
+// The id of the region a spot belongs to
+function regionOf(spot) {
+  return spot.region || DEFAULT_REGION;
+}
+
+// The names whose words say where a spot in this region is rather than
+// which spot it is — see the top of this file
+function placeNamesOf(config) {
+  return [config.city, config.name, config.country, ...(config.genericWords || [])];
+}
+
+// Spots grouped by the id of their region: Map of id → spots
+function groupByRegion(spots) {
+  const groups = new Map();
+  for (const spot of spots) {
+    const id = regionOf(spot);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(spot);
+  }
+  return groups;
+}
+
+// Every postcode the Places builder searches, e.g. "E8 1AA"
+function postcodesFor(config) {
+  const postcodes = [];
+  for (const [area, lo, hi] of config.postcodes.ranges) {
+    for (let i = lo; i <= hi; i++) {
+      for (const sector of config.postcodes.sectors) postcodes.push(area + i + ' ' + sector + 'AA');
+    }
+  }
+  return postcodes;
+}
+
+// Whether lat/lng is inside the config's boundary. True when there is no
+// boundary to check against.
+function inBoundary(config, lat, lng) {
+  return !config.boundary || pointInPolygon(lat, lng, config.boundary);
+}
+
+module.exports = {
+  DEFAULT_CONFIG, DEFAULT_REGION, loadConfig, loadRegion, listRegions, regionOf, groupByRegion, placeNamesOf, postcodesFor, inBoundary,
+};
@@ -0,0 +1,115 @@
+/**
+ * Gözleme Finder — Builder Checkpoints
+ *
+ * Lets a builder script pick up where it left off. The builder splits its
+ * work into units (a postcode, an area) and marks each one complete as soon
+ * as its results are in the spot store. Progress is kept in one JSON file
+ * per builder (data/checkpoints/<builder>.json):
+ *
+ *   {
+ *     completed: { <unit>: ISO timestamp it last completed },
+ *     run:       { startedAt, state } | null   // the unfinished run, if any
+ *   }
+ *
+ * `run.state` is the builder's own running totals and dedupe sets, so a
+ * resumed run reports on the whole run. `completed` outlives runs, which is
+ * what `--since` windows are measured against.
+ */
+
+const fs   = require('fs');
+const fsp  = fs.promises;
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'checkpoints');
+
+// Parses a --since value: a duration back from now ("12h", "7d", "2w") or
+// an ISO date. Returns a timestamp in ms, or throws.
+function parseSince(value, now = Date.now()) {
+  const units = { h: 3600000, d: 86400000, w: 7 * 86400000 };
+  const m = /^(\d+)([hdw])$/.exec(String(value || '').trim());
+  if (m) return now - Number(m[1]) * units[m[2]];
+
+  const at = Date.parse(value);
+  if (isNaN(at)) throw new Error('--since must be a duration like 12h, 7d or 2w, or a date');
+  return at;
+}
+
+// Options:
+//   name    — builder name, used for the file name
+//   file    — or an explicit checkpoint file
+//   dryRun  — read the checkpoint but never write it
+function createCheckpoint({ name, file = path.join(DEFAULT_DIR, name + '.json'), dryRun = false }) {
+  let data   = { completed: {}, run: null };
+  let cutoff = Infinity;   // units completed at or after this are skipped
+
+  async function write() {
+    if (dryRun) return;
+    const tmp = file + '.' + process.pid + '.tmp';
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    await fsp.rename(tmp, file);
+  }
+
+  // Loads the checkpoint and starts (or resumes) a run. Options:
+  //   fresh  — ignore an unfinished run and start from scratch
+  //   since  — also skip units completed at or after this timestamp (ms)
+  // Resolves with { resumed, startedAt }.
+  async function start({ fresh = false, since = null } = {}) {
+    try {
+      data = { completed: {}, run: null, ...JSON.parse(await fsp.readFile(file, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const resumed = !!data.run && !fresh;
+    if (!resumed) data.run = { startedAt: new Date().toISOString(), state: {} };
+
+    cutoff = Math.min(
+      resumed ? Date.parse(data.run.startedAt) : Infinity,
+      since != null ? since : Infinity
+    );
+    await write();
+    return { resumed, startedAt: data.run.startedAt };
+  }
+
+  function isDone(unit) {
+    const at = data.completed[unit];
+    return !!at && Date.parse(at) >= cutoff;
+  }
+
+  // Marks units complete and saves the builder's state alongside them.
+  async function complete(units) {
+    const now = new Date().toISOString();
+    for (const unit of units) data.completed[unit] = now;
+    await write();
+  }
+
+  // Ends the run; the next start() begins a new one.
+  async function finish() {
+    data.run = null;
+    await write();
+  }
+
+  return {
+    file,
+    start,
+    isDone,
+    complete,
+    finish,
+    // The run's builder state — mutate it, and it is saved with complete()
+    get state() { return data.run ? data.run.state : {}; },
+  };
+}
+
+// The saved checkpoint for a builder, or null if it has never run — for
+// reporting, without starting a run.
+function readCheckpoint(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DEFAULT_DIR, name + '.json'), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+module.exports = { createCheckpoint, readCheckpoint, parseSince };
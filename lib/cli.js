@@ -0,0 +1,141 @@
+/**
+ * Gözleme Finder — Data Tools CLI
+ *
+ * Entry point for `gozleme <command> [options]` (bin/gozleme.js). Each
+ * command is a module in lib/commands/ exporting:
+ *
+ *   { name, summary, options, writes, run(opts, ctx) }
+ *
+ *   options  { <name>: { type, arg, help } } — type is 'boolean', 'string',
+ *            'int', 'list' (comma-separated) or 'since' (see lib/checkpoint.js)
+ *   writes   whether the command changes the spot store
+ *   run      gets the parsed options and { store, config, dryRun, budgets }
+ *
+ * `budgets` are the server's daily upstream budgets (lib/upstream-budgets.js);
+ * commands that call Google or Anthropic spend from them, so the tools and
+ * the server share one daily limit and the admin metrics count both.
+ *
+ * Options every command takes:
+ *   --dry-run        run against an in-memory copy of the store and print
+ *                    the spots that would be added, removed or changed
+ *   --region <id>    the region to work on (regions/<id>.json; default london)
+ *   --config <file>  areas and postcode ranges to use (see lib/build-config.js)
+ */
+
+const path = require('path');
+
+const { createSpotStore, storeOptionsFromEnv } = require('./spot-store');
+const { loadConfig, loadRegion }        = require('./build-config');
+const { createDryRunStore, formatDiff } = require('./dry-run');
+const { parseSince }                    = require('./checkpoint');
+const { createUpstreamBudgets }         = require('./upstream-budgets');
+
+const COMMANDS = [
+  require('./commands/build-ai'),
+  require('./commands/build-postcodes'),
+  require('./commands/verify'),
+  require('./commands/dedupe'),
+  require('./commands/export'),
+  require('./commands/stats'),
+];
+
+const COMMON_OPTIONS = {
+  'dry-run': { type: 'boolean', help: 'show what would change without writing it' },
+  'region':  { type: 'string', arg: 'id', help: 'work on another region (see regions/); default london' },
+  'config':  { type: 'string', arg: 'file', help: 'load areas and postcode ranges from a JSON file' },
+  'help':    { type: 'boolean', help: 'show this help' },
+};
+
+const camel = name => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// Parses argv against an option spec. Returns options keyed in camelCase.
+function parseArgs(argv, spec) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name   = argv[i].replace(/^--/, '');
+    const option = argv[i].startsWith('--') && spec[name];
+    if (!option) throw new Error('Unknown option: ' + argv[i]);
+
+    if (option.type === 'boolean') {
+      opts[camel(name)] = true;
+      continue;
+    }
+
+    const value = argv[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error('--' + name + ' needs a value');
+
+    switch (option.type) {
+      case 'int':
+        opts[camel(name)] = parseInt(value, 10);
+        if (!(opts[camel(name)] > 0)) throw new Error('--' + name + ' must be a positive number');
+        break;
+      case 'list':
+        opts[camel(name)] = value.split(',').map(s => s.trim()).filter(Boolean);
+        if (!opts[camel(name)].length) throw new Error('--' + name + ' needs at least one value');
+        break;
+      case 'since':
+        opts[camel(name)] = parseSince(value);
+        break;
+      default:
+        opts[camel(name)] = value;
+    }
+  }
+  return opts;
+}
+
+function optionLines(spec) {
+  return Object.entries(spec).map(([name, o]) =>
+    '  ' + ('--' + name + (o.arg ? ' <' + o.arg + '>' : '')).padEnd(22) + ' ' + o.help);
+}
+
+function usage(command) {
+  if (command) {
+    return ['Usage: gozleme ' + command.name + ' [options]', '', command.summary, '', 'Options:',
+      ...optionLines({ ...command.options, ...COMMON_OPTIONS })].join('\n');
+  }
+  return ['Usage: gozleme <command> [options]', '', 'Commands:',
+    ...COMMANDS.map(c => '  ' + c.name.padEnd(16) + ' ' + c.summary),
+    '', 'Run gozleme <command> --help for its options.'].join('\n');
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  const command = COMMANDS.find(c => c.name === name);
+
+  if (!command) {
+    const known = !name || name === '--help' || name === 'help';
+    (known ? console.log : console.error)((known ? '' : 'Unknown command: ' + name + '\n\n') + usage());
+    if (!known) process.exitCode = 1;
+    return;
+  }
+
+  const opts = parseArgs(rest, { ...command.options, ...COMMON_OPTIONS });
+  if (opts.help) return console.log(usage(command));
+
+  if (opts.region && opts.config) throw new Error('--region and --config can\'t be used together');
+  const config = opts.region ? loadRegion(opts.region) : loadConfig(opts.config || process.env.GOZLEME_CONFIG);
+  const real   = createSpotStore(storeOptionsFromEnv());
+  const store  = opts.dryRun && command.writes ? createDryRunStore(real) : real;
+
+  const budgets = createUpstreamBudgets();
+
+  await command.run(opts, { store, config, dryRun: !!opts.dryRun, budgets });
+
+  if (store.dryRun) {
+    console.log('Dry run — nothing was written. Changes against ' + path.relative(process.cwd(), real.file) + ':');
+    for (const line of formatDiff(store.diff())) console.log('  ' + line);
+    console.log('');
+  }
+}
+
+// Runs the CLI and exits non-zero on failure. Used by bin/gozleme.js and the
+// old per-tool scripts.
+function run(argv) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+  main(argv).catch(err => {
+    console.error('\nError:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run, main, parseArgs, COMMANDS };
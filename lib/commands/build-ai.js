@@ -0,0 +1,279 @@
+/**
+ * Gözleme Finder — build-ai
+ *
+ * Queries Claude AI for gözleme spots across the configured areas (all of
+ * London by default) and merges the results into the spot store
+ * (data/spots.json). Each suggestion is recorded as 'ai' evidence (see
+ * lib/evidence.js); when Claude names a spot the Places builder already
+ * found, that spot gains the evidence too.
+ *
+ * Each area's results are merged as soon as they are in, and progress is
+ * checkpointed (see lib/checkpoint.js), so an interrupted run resumes at the
+ * area it stopped on. Failed Claude calls are retried with exponential backoff.
+ *
+ *   gozleme build-ai                      # resume an unfinished run, or start a new one
+ *   gozleme build-ai --fresh              # start over, ignoring an unfinished run
+ *   gozleme build-ai --only hackney,east  # just the areas whose names contain these
+ *   gozleme build-ai --since 7d           # skip areas queried in the last 7 days
+ *   gozleme build-ai --region manchester  # another region (see regions/)
+ *   gozleme build-ai --export spots.kml   # then write the spots for Google My Maps
+ *
+ * then check the new spots against Google Places with `gozleme verify`.
+ *
+ * Claude and geocoding calls spend from the daily upstream budgets the
+ * server uses (see lib/upstream-budgets.js). Once the Anthropic budget is
+ * spent the run stops, to resume tomorrow; once the geocoding budget is, the
+ * rest of the spots are stored without coordinates and the server places
+ * them when their region is next shown.
+ *
+ * Requires ANTHROPIC_KEY in your .env file. The prompt and the checks on
+ * Claude's answer are shared with the site's AI suggestions — see
+ * lib/ai-spots.js.
+ */
+
+const path  = require('path');
+const https = require('https');
+
+const { stampNew, touch }              = require('../spot-store');
+const { evidenceRecord, addEvidence }  = require('../evidence');
+const { createCheckpoint }             = require('../checkpoint');
+const { withRetry }                    = require('../retry');
+const { budgetError }                  = require('../rate-limit');
+const { askForSpots }                  = require('../ai-spots');
+const { createSpotIndex, nameSimilarity, genericWordSet } = require('../entity-match');
+const { inBoundary, regionOf, placeNamesOf, DEFAULT_REGION } = require('../build-config');
+const { checkExportFile, writeExport } = require('./export');
+
+// Geocode a place using Google Geocoding API. A result outside the config's
+// boundary is a namesake elsewhere, so the next query is tried instead.
+// Each query spends a call from `budget`; a spent budget throws.
+async function geocodeSpot(spot, key, config, budget) {
+  const place = config.city + ', ' + config.country;
+  // Try address first, then name + area
+  const queries = [];
+  if (spot.address) queries.push(spot.address + ', ' + place);
+  if (spot.name && spot.area) queries.push(spot.name + ', ' + spot.area + ', ' + place);
+  if (spot.name) queries.push(spot.name + ', ' + place);
+
+  for (const query of queries) {
+    if (budget && !budget.take()) throw budgetError('Google geocoding');
+    try {
+      const url = 'https://maps.googleapis.com/maps/api/geocode/json?address='
+        + encodeURIComponent(query)
+        + '&key=' + key;
+
+      const data = await new Promise((resolve, reject) => {
+        https.get(url, (res) => {
+          let raw = '';
+          res.on('data', chunk => raw += chunk);
+          res.on('end', () => { try { resolve(JSON.parse(raw)); } catch(e) { reject(e); } });
+        }).on('error', reject);
+      });
+
+      if (data.status === 'OK' && data.results.length) {
+        const { lat, lng } = data.results[0].geometry.location;
+        if (!inBoundary(config, lat, lng)) continue;
+        spot.lat = lat;
+        spot.lng = lng;
+        return; // success — stop trying
+      }
+    } catch(e) { /* try next query */ }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Claude gives names and areas but rarely exact addresses, so besides the
+// pairs lib/entity-match.js scores as 'same', an AI spot with exactly the
+// same name as another AI spot — and nothing placing them apart — is taken
+// as the same place. `genericWords` are the region's, as for the index.
+function findSame(index, spot, genericWords) {
+  const match = index.bestMatch(spot, { min: 'maybe' });
+  if (!match) return null;
+  if (match.decision === 'same') return match.spot;
+  return match.spot.source === 'ai' && nameSimilarity(spot.name, match.spot.name, genericWords) === 1 ? match.spot : null;
+}
+
+// ── Merge into the spot store ────────────────────────────────────────────────
+// Runs under the store lock. Spots already found by an earlier AI run are
+// refreshed in place, keeping their ID, admin state (hidden) and evidence;
+// spots that match a Places spot keep their Places data and just gain the
+// AI evidence. Only the stored spots of the config's region are matched.
+
+async function mergeSpots(store, found, config, { genericWords }) {
+  return store.update(data => {
+    const now = new Date().toISOString();
+    const index = createSpotIndex(data.spots.filter(s => regionOf(s) === config.id), { genericWords });
+    let added = 0, refreshed = 0, corroborated = 0;
+
+    for (const spot of found) {
+      const existing = findSame(index, spot, genericWords);
+      if (!existing) {
+        data.spots.push(stampNew(spot, 'spots', now));
+        index.add(spot);
+        added++;
+      } else if (existing.source === 'ai') {
+        const { evidence, evidenceScore, ...fields } = spot;
+        for (const [key, value] of Object.entries(fields)) {
+          if (value != null && value !== '') existing[key] = value;
+        }
+        addEvidence(existing, evidence);
+        touch(existing, now);
+        refreshed++;
+      } else if (addEvidence(existing, spot.evidence)) {
+        touch(existing, now);
+        corroborated++;
+      }
+    }
+
+    data.builtAt = now;
+    return { added, refreshed, corroborated, total: data.spots.length };
+  });
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+async function run(opts, { store, config, dryRun, budgets }) {
+  const key     = process.env.ANTHROPIC_KEY;
+  const mapKey  = process.env.GOOGLE_MAPS_KEY || process.env.GOOGLE_PLACES_KEY;
+  const baseUrl = process.env.ANTHROPIC_API_BASE || undefined;
+  const budget  = (budgets && budgets.budgets) || {};
+  if (!key) throw new Error('ANTHROPIC_KEY not set in .env');
+  if (opts.export) checkExportFile(opts.export);
+
+  // Each region resumes separately
+  const checkpoint = createCheckpoint({ name: 'cache-builder' + (config.id === DEFAULT_REGION ? '' : '-' + config.id), dryRun });
+  const { resumed, startedAt } = await checkpoint.start({ fresh: opts.fresh, since: opts.since });
+
+  // Running totals and the spots seen so far, kept in the checkpoint so a
+  // resumed run still deduplicates against the areas it already did
+  const totals = checkpoint.state;
+  for (const field of ['unique', 'withCoords', 'added', 'refreshed', 'corroborated']) totals[field] = totals[field] || 0;
+  totals.seen = (totals.seen || []).map(s => (typeof s === 'string' ? { name: s } : s));
+  const match = { genericWords: genericWordSet(placeNamesOf(config)) };
+  const seen  = createSpotIndex(totals.seen.map(s => ({ ...s, source: 'ai' })), match);
+
+  const only     = opts.only && opts.only.map(o => o.toLowerCase());
+  const selected = config.areas.filter(a => !only || only.some(o => a.toLowerCase().includes(o)));
+  const todo     = selected.filter(a => !checkpoint.isDone(a));
+
+  console.log('\nGözleme Finder — Cache Builder');
+  console.log('================================');
+  console.log(selected.length + ' ' + config.city + ' areas selected, ' + (selected.length - todo.length) + ' already done, ' + todo.length + ' to query');
+  if (resumed) console.log('Resuming the run started ' + startedAt + ' (--fresh to start over)');
+  if (!mapKey) console.log('Skipping geocoding — GOOGLE_MAPS_KEY not set');
+  console.log('');
+
+  let stopped   = null;
+  let total     = null;
+  let geocoding = !!mapKey;
+
+  for (let i = 0; i < todo.length; i++) {
+    const area = todo[i];
+    process.stdout.write('  [' + (i + 1) + '/' + todo.length + '] ' + area + '... ');
+
+    let spots;
+    try {
+      spots = await withRetry(() => askForSpots(area, { key, baseUrl, budget: budget.anthropic, city: config.city, country: config.country }), {
+        onRetry: (err, attempt, wait) => process.stdout.write('retry ' + attempt + ' in ' + (wait / 1000).toFixed(1) + 's (' + err.message + ')... '),
+      });
+    } catch(e) {
+      console.log('ERROR: ' + e.message);
+      stopped = area + ': ' + e.message;
+      break;
+    }
+    // An unreadable reply is treated as no suggestions rather than retried
+    spots = spots || [];
+
+    const areaSpots = [];
+    for (const spot of spots) {
+      if (!spot.name) continue;
+
+      // Claude often names the same place again for a neighbouring area
+      const named = { name: spot.name, area: spot.area || area, address: spot.address || '' };
+      if (findSame(seen, { ...named, source: 'ai' }, match.genericWords)) continue;
+
+      seen.add({ ...named, source: 'ai' });
+      totals.seen.push(named);
+      const aiSpot = {
+        name:        spot.name,
+        area:        spot.area || area,
+        address:     spot.address || '',
+        description: spot.description || '',
+        tags:        spot.tags || [],
+        lat:         null,
+        lng:         null,
+        rating:      null,
+        reviewCount: null,
+        openingHours: null,
+        priceLevel:  null,
+        mapsUrl:     null,
+        source:      'ai',
+        region:      config.id,
+        cachedAt:    new Date().toISOString(),
+      };
+      addEvidence(aiSpot, [evidenceRecord('ai', 'cache-builder', area)]);
+      areaSpots.push(aiSpot);
+    }
+
+    // Geocode in small batches so the spots have lat/lng for the map
+    if (geocoding) {
+      const BATCH = 5;
+      try {
+        for (let j = 0; j < areaSpots.length; j += BATCH) {
+          await Promise.all(areaSpots.slice(j, j + BATCH).map(s => geocodeSpot(s, mapKey, config, budget.geocode)));
+          await sleep(200); // stay within rate limits
+        }
+      } catch (e) {
+        if (!e.exhausted) throw e;
+        process.stdout.write(e.message + ' — geocoding stops here... ');
+        geocoding = false;
+      }
+    }
+    const withCoords = areaSpots.filter(s => s.lat != null).length;
+
+    const merge = areaSpots.length ? await mergeSpots(store, areaSpots, config, match) : null;
+    totals.unique     += areaSpots.length;
+    totals.withCoords += withCoords;
+    if (merge) {
+      totals.added        += merge.added;
+      totals.refreshed    += merge.refreshed;
+      totals.corroborated += merge.corroborated;
+      total = merge.total;
+    }
+    await checkpoint.complete([area]);
+
+    console.log('found ' + spots.length + ', ' + areaSpots.length + ' new to this run'
+      + (mapKey ? ' (' + withCoords + ' geocoded)' : ''));
+
+    // Pause between requests to avoid rate limits
+    if (i < todo.length - 1) await sleep(1500);
+  }
+
+  if (!stopped) await checkpoint.finish();
+  if (total == null) total = (await store.read()).spots.length;
+
+  console.log('\n================================');
+  if (stopped) console.log('Stopped after retries failed — ' + stopped + '\nRun again to resume from there.');
+  console.log((stopped ? 'So far: ' : 'Done! ') + totals.unique + ' unique spots from this run (' + totals.withCoords + ' with map coordinates)');
+  console.log('     ' + totals.added + ' added, ' + totals.refreshed + ' refreshed, ' + totals.corroborated + ' Places spots corroborated');
+  console.log('     ' + total + ' total spots in ' + path.relative(process.cwd(), store.file));
+  console.log('================================\n');
+  if (opts.export) await writeExport(store, opts.export, { region: config.id, dryRun });
+  if (stopped) process.exitCode = 1;
+}
+
+module.exports = {
+  name:    'build-ai',
+  summary: 'Ask Claude for spots in each area and merge them into the store',
+  writes:  true,
+  options: {
+    fresh:  { type: 'boolean', help: 'start over, ignoring an unfinished run' },
+    only:   { type: 'list', arg: 'areas', help: 'only areas whose names contain these, e.g. hackney,east' },
+    since:  { type: 'since', arg: 'window', help: 'skip areas queried within this window (7d) or since a date' },
+    export: { type: 'string', arg: 'file', help: 'then write the region\'s spots to a .geojson, .kml, .csv or .json file' },
+  },
+  run,
+};
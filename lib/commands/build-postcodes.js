@@ -0,0 +1,271 @@
+/**
+ * Gözleme Finder — build-postcodes
+ *
+ * Searches Google Places for "Gozleme near [postcode]" for every configured
+ * postcode district (all of London by default; sectors 1AA–9AA + 0AA = 10
+ * per district), deduplicates by place_id, and merges results into the spot
+ * store (data/spots.json).
+ *
+ * Every hit is recorded with its evidence — a name, type or review that
+ * mentions gözleme, or just the search it came from — and a confidence
+ * score (see lib/evidence.js). Spots already in the store gain the new
+ * evidence instead of being skipped.
+ *
+ * Progress is checkpointed (see lib/checkpoint.js) and results are merged
+ * into the store every district, so an interrupted run loses at most a few
+ * postcodes — running the command again resumes where it stopped. Failed
+ * searches are retried with exponential backoff; if a postcode still fails
+ * the run stops and can be resumed later.
+ *
+ *   gozleme build-postcodes                 # resume an unfinished run, or start a new one
+ *   gozleme build-postcodes --fresh         # start over, ignoring an unfinished run
+ *   gozleme build-postcodes --only E,N16    # just these postcode areas or districts
+ *   gozleme build-postcodes --since 30d     # skip postcodes searched in the last 30 days
+ *   gozleme build-postcodes --region birmingham  # another region (see regions/)
+ *   gozleme build-postcodes --export spots.geojson  # then write the spots for QGIS
+ *
+ * Requires GOOGLE_PLACES_KEY in your .env file. PLACES_API_BASE points the
+ * client at a stand-in server instead of Google.
+ */
+
+const path = require('path');
+
+const { stampNew, touch }             = require('../spot-store');
+const { placeEvidence, addEvidence }  = require('../evidence');
+const { createPlacesClient }          = require('../places-client');
+const { createCheckpoint }            = require('../checkpoint');
+const { withRetry }                   = require('../retry');
+const { postcodesFor, inBoundary, regionOf, placeNamesOf, DEFAULT_REGION } = require('../build-config');
+const { createSpotIndex, matchSpots, genericWordSet } = require('../entity-match');
+const { hoursFromPlace }              = require('../opening-hours');
+const { checkExportFile, writeExport } = require('./export');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function extractArea(address, config) {
+  if (!address) return '';
+  const skip  = [config.city, config.country, 'UK', 'United Kingdom'];
+  const parts = address.split(',').map(s => s.trim());
+  for (let i = parts.length - 3; i >= 0; i--) {
+    const p = parts[i];
+    if (p && !/^[A-Z]{1,2}\d/.test(p) && !skip.includes(p)) {
+      return p;
+    }
+  }
+  return '';
+}
+
+// "E" selects E1–E18 (but not EC1–EC4); "E8" selects just E8
+function inSubset(postcode, only) {
+  if (!only) return true;
+  const district = postcode.split(' ')[0];
+  const area     = district.replace(/\d+$/, '');
+  return only.includes(area) || only.includes(district);
+}
+
+// ── Google Places Text Search ─────────────────────────────────────────────────
+
+const queryFor = postcode => `Gozleme near ${postcode}`;
+
+const PLACE_FIELDS = [
+  'id',
+  'displayName',
+  'formattedAddress',
+  'rating',
+  'userRatingCount',
+  'regularOpeningHours',
+  'businessStatus',
+  'priceLevel',
+  'googleMapsUri',
+  'location',
+  'types',
+  'primaryType',
+  'reviews',   // for review evidence — billed at a higher tier than the fields above
+];
+
+function searchPostcode(places, postcode, log) {
+  return withRetry(
+    () => places.searchText({ textQuery: queryFor(postcode), fields: PLACE_FIELDS, maxResults: 20 }),
+    { onRetry: (err, attempt, wait) => log(`retry ${attempt} in ${(wait / 1000).toFixed(1)}s — ${err.message}`) }
+  );
+}
+
+function toSpot(p, postcode, config) {
+  const spot = {
+    name:        p.displayName.text.trim(),
+    area:        extractArea(p.formattedAddress || '', config),
+    address:     p.formattedAddress || '',
+    description: '',
+    tags:        ['turkish', 'gozleme'],
+    lat:         (p.location && p.location.latitude)  != null ? p.location.latitude  : null,
+    lng:         (p.location && p.location.longitude) != null ? p.location.longitude : null,
+    rating:      p.rating || null,
+    reviewCount: p.userRatingCount || null,
+    openingHours: hoursFromPlace(p),
+    businessStatus: p.businessStatus || null,
+    priceLevel:  p.priceLevel || null,
+    mapsUrl:     p.googleMapsUri || null,
+    placeId:     p.id || null,
+    source:      'places',
+    region:      config.id,
+    cachedAt:    new Date().toISOString(),
+  };
+  addEvidence(spot, placeEvidence(p, { source: 'postcode-builder', query: queryFor(postcode) }));
+  return spot;
+}
+
+// ── Merge into the spot store ────────────────────────────────────────────────
+// Runs under the store lock against a fresh read, so admin edits made while
+// this run is in progress are kept. New spots are added; spots already in the
+// store (the same place by lib/entity-match.js, within the config's region)
+// gain the new evidence.
+
+async function mergeSpots(store, found, config, match) {
+  return store.update(data => {
+    const index = createSpotIndex(data.spots.filter(s => regionOf(s) === config.id), match);
+
+    const now = new Date().toISOString();
+    let added = 0, updated = 0;
+
+    for (const spot of found) {
+      const existing = index.bestMatch(spot)?.spot;
+      if (!existing) {
+        data.spots.push(stampNew(spot, 'spots', now));
+        index.add(spot);
+        added++;
+      } else if (addEvidence(existing, spot.evidence)) {
+        touch(existing, now);
+        updated++;
+      }
+    }
+    data.builtAt = now;
+
+    return {
+      added,
+      updated,
+      merged:     data.spots.length,
+      withCoords: data.spots.filter(s => s.lat != null).length,
+    };
+  });
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+async function run(opts, { store, config, dryRun, budgets }) {
+  const key = process.env.GOOGLE_PLACES_KEY || process.env.GOOGLE_MAPS_KEY;
+  if (!key) throw new Error('GOOGLE_PLACES_KEY not set in .env');
+  if (opts.export) checkExportFile(opts.export);
+
+  const places = createPlacesClient({
+    key,
+    budget: budgets && budgets.budgets['places-text'],
+    ...(process.env.PLACES_API_BASE ? { baseUrl: process.env.PLACES_API_BASE } : {}),
+  });
+  // Each region resumes separately
+  const checkpoint = createCheckpoint({ name: 'postcode-builder' + (config.id === DEFAULT_REGION ? '' : '-' + config.id), dryRun });
+  const { resumed, startedAt } = await checkpoint.start({ fresh: opts.fresh, since: opts.since });
+
+  // Running totals, kept in the checkpoint so a resumed run reports on all of it
+  const totals = checkpoint.state;
+  for (const key of ['scanned', 'found', 'added', 'updated', 'strong']) totals[key] = totals[key] || 0;
+
+  const only     = opts.only && opts.only.map(o => o.toUpperCase());
+  const selected = postcodesFor(config).filter(p => inSubset(p, only));
+  const todo     = selected.filter(p => !checkpoint.isDone(p));
+  const match    = { genericWords: genericWordSet(placeNamesOf(config)) };
+
+  console.log('\nGözleme Finder — Postcode Cache Builder');
+  console.log('========================================');
+  console.log(`${selected.length} postcodes selected${only ? ' (' + only.join(', ') + ')' : ''}, ${selected.length - todo.length} already done, ${todo.length} to search`);
+  if (resumed) console.log(`Resuming the run started ${startedAt} (--fresh to start over)`);
+  console.log('');
+
+  // Results waiting to be merged, and the postcodes they came from
+  let pending     = [];
+  let pendingKeys = [];
+  let last        = null;
+
+  async function flush() {
+    if (!pendingKeys.length) return;
+    if (pending.length) {
+      // 0.5+ needs a name or review match — type and search alone score lower
+      totals.found  += pending.length;
+      totals.strong += pending.filter(s => s.evidenceScore >= 0.5).length;
+      const merge = await mergeSpots(store, pending, config, match);
+      totals.added   += merge.added;
+      totals.updated += merge.updated;
+      last = merge;
+    }
+    await checkpoint.complete(pendingKeys);
+    pending     = [];
+    pendingKeys = [];
+  }
+
+  let stopped = null;
+  for (let i = 0; i < todo.length; i++) {
+    const postcode = todo[i];
+    const label    = `\r  [${String(i + 1).padStart(4)}/${todo.length}] ${postcode.padEnd(9)}`;
+    process.stdout.write(`${label} ${Math.round(((i + 1) / todo.length) * 100)}%  (+${totals.found + pending.length} spots so far)  `);
+
+    let results;
+    try {
+      results = await searchPostcode(places, postcode, msg => process.stdout.write(`${label} ${msg}\n`));
+    } catch (e) {
+      stopped = `${postcode}: ${e.message}`;
+      break;
+    }
+
+    totals.scanned += results.length;
+    let added = 0;
+    for (const p of results) {
+      if (!p.displayName || !p.displayName.text || !p.displayName.text.trim()) continue;
+      const spot = toSpot(p, postcode, config);
+      if (spot.lat != null && !inBoundary(config, spot.lat, spot.lng)) continue;
+      const dupe = pending.some(s => matchSpots(s, spot, match).decision === 'same');
+      if (dupe) continue;
+      pending.push(spot);
+      added++;
+    }
+    pendingKeys.push(postcode);
+    if (added > 0) process.stdout.write(`${label} +${added} spots\n`);
+
+    // Merge once per district (every 10 postcodes)
+    if (pendingKeys.length >= config.postcodes.sectors.length) await flush();
+
+    // ~4 req/sec to stay well within quota
+    if (i < todo.length - 1) await sleep(250);
+  }
+
+  await flush();
+  process.stdout.write('\n');
+
+  if (!stopped) await checkpoint.finish();
+  if (!last) last = await store.read().then(d => ({ merged: d.spots.length, withCoords: d.spots.filter(s => s.lat != null).length }));
+
+  console.log('========================================');
+  if (stopped) console.log(`Stopped  after retries failed — ${stopped}\n         Run again to resume from here.`);
+  console.log(`Scanned  ${totals.scanned} raw API results`);
+  console.log(`Found    ${totals.found} spots in this run`);
+  console.log(`Evidence ${totals.strong} named or reviewed as serving gözleme, ${totals.found - totals.strong} weaker matches`);
+  console.log(`Added    ${totals.added} new to cache (${totals.found - totals.added} already existed, ${totals.updated} gained evidence)`);
+  console.log(`Cache    ${last.merged} total spots  (${last.withCoords} with coordinates)`);
+  if (!dryRun) console.log(`Saved  → ${path.relative(process.cwd(), store.file)}`);
+  console.log('========================================\n');
+  if (opts.export) await writeExport(store, opts.export, { region: config.id, dryRun });
+  if (stopped) process.exitCode = 1;
+}
+
+module.exports = {
+  name:    'build-postcodes',
+  summary: 'Search Google Places around every postcode and merge the results into the store',
+  writes:  true,
+  options: {
+    fresh:  { type: 'boolean', help: 'start over, ignoring an unfinished run' },
+    only:   { type: 'list', arg: 'postcodes', help: 'only these postcode areas or districts, e.g. E,N16' },
+    since:  { type: 'since', arg: 'window', help: 'skip postcodes searched within this window (30d) or since a date' },
+    export: { type: 'string', arg: 'file', help: 'then write the region\'s spots to a .geojson, .kml, .csv or .json file' },
+  },
+  run,
+};
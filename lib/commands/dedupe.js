@@ -0,0 +1,117 @@
+/**
+ * Gözleme Finder — dedupe
+ *
+ * Finds discovered spots that are the same place and merges each group into
+ * one. Pairs are judged by lib/entity-match.js: the same Google placeId, or
+ * names alike enough and close enough together (by distance, postcode,
+ * address or area) to score as 'same'. Branches of a chain, spots more than
+ * 1 km apart, spots in different regions and pairs an admin has marked
+ * "not duplicates" are never merged.
+ *
+ * The spot kept is the best-sourced one (a placeId, then Places over AI,
+ * then visible, then stronger evidence, then oldest). It gains the others'
+ * evidence, tags and any fields it is missing, and records each of them in
+ * `mergedFrom`; the others are removed. Curated spots are never touched.
+ *
+ * Pairs that only score 'maybe' are listed but left alone — review them in
+ * the admin Duplicates tab.
+ *
+ *   gozleme dedupe --dry-run   # list the groups and the changes
+ *   gozleme dedupe
+ */
+
+const { touch } = require('../spot-store');
+const { matchSpots, findDuplicatePairs, compareSurvivors, mergeSpotInto, genericWordSet } = require('../entity-match');
+const { listRegions, groupByRegion, placeNamesOf } = require('../build-config');
+
+// Every pair of spots that may be the same place, best first. Each region's
+// spots are compared among themselves with its generic words, which each
+// pair carries; a region without a file in regions/ has only its id.
+function findPairs(spots, config) {
+  const regions = new Map(listRegions().map(r => [r.id, r]));
+  regions.set(config.id, config);
+  return [...groupByRegion(spots)]
+    .flatMap(([id, group]) => {
+      const genericWords = genericWordSet(regions.has(id) ? placeNamesOf(regions.get(id)) : [id]);
+      return findDuplicatePairs(group, { genericWords }).map(p => ({ ...p, genericWords }));
+    })
+    .sort((x, y) => y.score - x.score);
+}
+
+// Groups of two or more spots that are the same place. Pairs join best
+// first, and two groups only join when no member of one is a different
+// place from a member of the other — so "Efes" can't pull two branches
+// of Efes into one group.
+function findGroups(pairs) {
+  const groupOf = new Map();
+  const groupFor = s => groupOf.get(s) || [s];
+
+  for (const { a, b, decision, genericWords } of pairs) {
+    if (decision !== 'same') continue;
+    const ga = groupFor(a);
+    const gb = groupFor(b);
+    if (ga === gb) continue;
+    if (ga.some(x => gb.some(y => matchSpots(x, y, { genericWords }).decision === 'different'
+      || (x.distinctFrom || []).includes(y.id) || (y.distinctFrom || []).includes(x.id)))) continue;
+
+    const joined = [...ga, ...gb];
+    for (const s of joined) groupOf.set(s, joined);
+  }
+  return [...new Set(groupOf.values())].map(g => g.sort(compareSurvivors));
+}
+
+const describe = s => s.id + '  ' + s.name + (s.area ? ' (' + s.area + ')' : '') + ' [' + s.source + ']';
+
+async function run(opts, { store, config, dryRun }) {
+  console.log('\nGözleme Finder — Dedupe');
+  console.log('=======================');
+
+  const { groups, review } = await store.update(data => {
+    const now    = new Date().toISOString();
+    const pairs  = findPairs(data.spots, config);
+    const groups = findGroups(pairs);
+    const drop   = new Set();
+
+    for (const [keep, ...others] of groups) {
+      for (const other of others) {
+        mergeSpotInto(keep, other, { by: 'dedupe', at: now });
+        drop.add(other);
+      }
+      touch(keep, now);
+    }
+    data.spots = data.spots.filter(s => !drop.has(s));
+
+    const summary = s => ({ id: s.id, name: s.name, area: s.area, source: s.source });
+    return {
+      groups: groups.map(g => g.map(summary)),
+      review: pairs.filter(p => p.decision === 'maybe' && !drop.has(p.a) && !drop.has(p.b))
+        .map(p => ({ a: summary(p.a), b: summary(p.b), score: p.score, reasons: p.reasons })),
+    };
+  });
+
+  for (const [keep, ...others] of groups) {
+    console.log('  keep    ' + describe(keep));
+    for (const o of others) console.log('  merge   ' + describe(o));
+  }
+
+  if (review.length) {
+    console.log((groups.length ? '\n' : '') + 'Possible duplicates — review in the admin Duplicates tab:');
+    for (const p of review) {
+      console.log('  ' + p.score.toFixed(2) + '    ' + describe(p.a));
+      console.log('          ' + describe(p.b) + '  — ' + p.reasons.join(', '));
+    }
+  }
+
+  const merged = groups.reduce((n, g) => n + g.length - 1, 0);
+  console.log((groups.length || review.length ? '\n' : '') + groups.length + ' duplicate groups, ' + merged + ' spots '
+    + (dryRun ? 'would be merged away' : 'merged away') + ', ' + review.length + ' possible duplicates to review');
+  console.log('=======================\n');
+}
+
+module.exports = {
+  name:    'dedupe',
+  summary: 'Merge discovered spots that are the same place',
+  writes:  true,
+  options: {},
+  run,
+};
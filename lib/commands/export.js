@@ -0,0 +1,95 @@
+/**
+ * Gözleme Finder — export
+ *
+ * Writes the visible spots — discovered and curated — to a file or stdout
+ * as JSON, GeoJSON, KML or CSV (see lib/export.js). Takes the same filters
+ * as GET /api/export; `--region` limits it to one city.
+ *
+ *   gozleme export --format geojson --out spots.geojson
+ *   gozleme export --format csv --include-hidden > all-spots.csv
+ *   gozleme export --collection curated
+ *   gozleme export --format kml --source ai,curated --min-rating 4 --out spots.kml
+ *   gozleme export --bbox -0.15,51.50,-0.05,51.56 --region london
+ *
+ * Without --format the format comes from the --out file's extension, and
+ * is JSON otherwise. The builders' `--export <file>` writes their region's
+ * visible spots the same way once a run finishes (writeExport below).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { exportSpots, selectSpots, parseFilters, EXPORT_FORMATS, SOURCES } = require('../export');
+
+const COLLECTIONS = ['spots', 'curated', 'all'];
+
+// The format a file's extension names (spots.kml → kml), or null
+function formatOf(file) {
+  const extension = path.extname(file || '').slice(1).toLowerCase();
+  return EXPORT_FORMATS.includes(extension) ? extension : null;
+}
+
+function writeFile(file, body) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, body, 'utf8');
+}
+
+// Throws unless `file` names an export format. The builders check their
+// --export file before a run rather than after it.
+function checkExportFile(file) {
+  if (!formatOf(file)) throw new Error('--export file must end in .' + EXPORT_FORMATS.join(', .'));
+}
+
+// Writes the visible spots of `region` to `file` in the format its
+// extension names. For the builders' --export option.
+async function writeExport(store, file, { region, dryRun }) {
+  checkExportFile(file);
+  const format = formatOf(file);
+  const spots = selectSpots(await store.read(), { region });
+  if (dryRun) return console.log('Dry run — would export ' + spots.length + ' spots to ' + file);
+  writeFile(file, exportSpots(spots, format).body);
+  console.log('Exported ' + spots.length + ' spots → ' + file);
+}
+
+async function run(opts, { store, config, dryRun }) {
+  const format     = opts.format || formatOf(opts.out) || 'json';
+  const collection = opts.collection || 'all';
+  if (!EXPORT_FORMATS.includes(format)) throw new Error('--format must be one of ' + EXPORT_FORMATS.join(', '));
+  if (!COLLECTIONS.includes(collection)) throw new Error('--collection must be one of ' + COLLECTIONS.join(', '));
+
+  if (opts.source && collection !== 'all') throw new Error('--source and --collection can\'t be used together');
+
+  const filters = parseFilters({ source: opts.source, bbox: opts.bbox, minRating: opts.minRating });
+  if (!filters.sources && collection !== 'all') filters.sources = collection === 'curated' ? ['curated'] : SOURCES.filter(s => s !== 'curated');
+
+  const data  = await store.read();
+  const spots = selectSpots(data, { ...filters, region: opts.region ? config.id : null, includeHidden: opts.includeHidden });
+
+  const { body } = exportSpots(spots, format);
+  const summary  = spots.length + ' spots as ' + format + (opts.out ? ' to ' + opts.out : '');
+
+  // Progress goes to stderr so stdout stays clean for piping
+  if (dryRun) return console.error('Dry run — would write ' + summary + ' (' + Buffer.byteLength(body) + ' bytes)');
+  if (!opts.out) return process.stdout.write(body);
+
+  writeFile(opts.out, body);
+  console.error('Wrote ' + summary);
+}
+
+module.exports = {
+  name:    'export',
+  summary: 'Write spots to a JSON, GeoJSON, KML or CSV file',
+  writes:  false,
+  options: {
+    'format':         { type: 'string', arg: EXPORT_FORMATS.join('|'), help: 'output format (default from the --out extension, or json)' },
+    'out':            { type: 'string', arg: 'file', help: 'write here instead of stdout' },
+    'collection':     { type: 'string', arg: COLLECTIONS.join('|'), help: 'which spots to export (default all)' },
+    'source':         { type: 'string', arg: SOURCES.join(','), help: 'only spots from these sources' },
+    'bbox':           { type: 'string', arg: 'minLng,minLat,maxLng,maxLat', help: 'only spots inside this box' },
+    'min-rating':     { type: 'string', arg: 'n', help: 'only spots rated n (0–5) or higher' },
+    'include-hidden': { type: 'boolean', help: 'include spots hidden by an admin or by verify' },
+  },
+  run,
+  checkExportFile,
+  writeExport,
+};
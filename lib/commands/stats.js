@@ -0,0 +1,64 @@
+/**
+ * Gözleme Finder — stats
+ *
+ * Summarises the spot store: how many spots there are, where they came
+ * from, how well evidenced and verified they are, and how far the builders
+ * got on their last runs.
+ *
+ *   gozleme stats
+ */
+
+const path = require('path');
+
+const { readCheckpoint } = require('../checkpoint');
+const { inferEvidence, scoreEvidence } = require('../evidence');
+
+// Checkpoint names of the builder commands
+const BUILDERS = { 'build-ai': 'cache-builder', 'build-postcodes': 'postcode-builder' };
+
+function countBy(list, keyOf) {
+  const counts = {};
+  for (const item of list) {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([k, n]) => k + ' ' + n).join(', ') || 'none';
+}
+
+async function run(opts, { store }) {
+  const data   = await store.read();
+  const spots  = data.spots;
+  const score  = s => s.evidenceScore != null ? s.evidenceScore : scoreEvidence(inferEvidence(s));
+  const strong = spots.filter(s => score(s) >= 0.5).length;
+
+  console.log('\nGözleme Finder — Store Stats');
+  console.log('============================');
+  console.log('Store        ' + path.relative(process.cwd(), store.file) + (data.builtAt ? ' (last built ' + data.builtAt + ')' : ''));
+  console.log('Spots        ' + spots.length + ' discovered — ' + spots.filter(s => s.hidden).length + ' hidden, '
+    + spots.filter(s => s.lat != null).length + ' with coordinates');
+  console.log('  source     ' + countBy(spots, s => s.source || 'unknown'));
+  console.log('  evidence   ' + strong + ' strong (named or reviewed as serving gözleme), ' + (spots.length - strong) + ' weaker');
+
+  const ai = spots.filter(s => s.source === 'ai');
+  if (ai.length) console.log('  verify     ' + countBy(ai, s => s.verification ? s.verification.status : 'unchecked'));
+
+  console.log('Curated      ' + data.curated.length);
+  console.log('Suggestions  ' + countBy(data.suggestions, s => s.status || 'pending'));
+
+  for (const [command, name] of Object.entries(BUILDERS)) {
+    const checkpoint = readCheckpoint(name);
+    const done = checkpoint ? Object.keys(checkpoint.completed || {}).length : 0;
+    let line = command.padEnd(16) + (checkpoint ? done + ' units searched so far' : 'never run');
+    if (checkpoint && checkpoint.run) line += ' — unfinished run from ' + checkpoint.run.startedAt + ' (run again to resume)';
+    console.log(line);
+  }
+  console.log('============================\n');
+}
+
+module.exports = {
+  name:    'stats',
+  summary: 'Summarise the spot store and builder progress',
+  writes:  false,
+  options: {},
+  run,
+};
@@ -0,0 +1,304 @@
+/**
+ * Gözleme Finder — verify
+ *
+ * Cross-checks the spots Claude suggested (source 'ai') against Google
+ * Places. Each one is looked up with a text search on its name and address;
+ * when a result's name matches closely and it is near the spot's geocoded
+ * position, the spot gains the Places placeId, rating, business status and
+ * coordinates, plus any evidence the place carries (see lib/evidence.js).
+ *
+ * Spots are marked with a `verification` record:
+ *
+ *   { status, checkedAt, query, placeId, placeName, matchScore, hidByVerify }
+ *
+ *   status  'verified'   — matched an operating place
+ *           'closed'     — matched a place Google lists as permanently closed
+ *           'unverified' — no confident match
+ *           'duplicate'  — matched a place already in the store as another
+ *                          spot; that spot gains this one's evidence
+ *
+ * Closed, unverified and duplicate spots are hidden. A spot hidden by an
+ * earlier run is shown again if it verifies later; spots an admin hid are
+ * left hidden.
+ *
+ *   gozleme verify                     # check AI spots not yet verified
+ *   gozleme verify --recheck           # check every AI spot again
+ *   gozleme verify --dry-run           # print the report and the changes, don't save
+ *   gozleme verify --limit 20          # stop after 20 spots
+ *   gozleme verify --fake places.json  # use a local fixture instead of Google
+ *   gozleme verify --region istanbul   # check another region's AI spots
+ *
+ * Requires GOOGLE_PLACES_KEY in your .env file (unless using --fake).
+ * PLACES_API_BASE points the client at a stand-in server instead of Google.
+ */
+
+const path = require('path');
+
+const { touch }                                       = require('../spot-store');
+const { placeEvidence, addEvidence }                  = require('../evidence');
+const { createPlacesClient, createFakePlacesClient }  = require('../places-client');
+const { distanceMetres }                              = require('../geo');
+const { regionOf }                                    = require('../build-config');
+
+const PLACE_FIELDS = [
+  'id',
+  'displayName',
+  'formattedAddress',
+  'location',
+  'rating',
+  'userRatingCount',
+  'priceLevel',
+  'googleMapsUri',
+  'businessStatus',
+  'types',
+  'primaryType',
+  'reviews',   // for review evidence — billed at a higher tier than the fields above
+];
+
+const MIN_NAME_SCORE   = 0.75;    // name similarity needed for a confident match
+const MAX_DISTANCE_M   = 2000;    // a match further than this from the geocoded spot is rejected
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+// Words that say what kind of place it is rather than which one
+const GENERIC_WORDS = new Set(['the', 'and', 'restaurant', 'cafe', 'kitchen', 'grill', 'bar', 'ltd', 'london', 'turkish', 'gozleme']);
+
+function nameKey(name) {
+  const words = String(name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/).filter(Boolean);
+  const specific = words.filter(w => !GENERIC_WORDS.has(w));
+  return (specific.length ? specific : words).join('');
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+// 0–1 similarity of two names once generic words are dropped: 1 when they
+// are the same, 0.9 when one contains the other ("Efes" vs "Efes Turkish
+// Restaurant"), otherwise the Dice coefficient of their letter pairs.
+function nameScore(a, b) {
+  const x = nameKey(a);
+  const y = nameKey(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (Math.min(x.length, y.length) >= 4 && (x.includes(y) || y.includes(x))) return 0.9;
+
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  const pool = [...gy];
+  let shared = 0;
+  for (const g of gx) {
+    const i = pool.indexOf(g);
+    if (i !== -1) { shared++; pool.splice(i, 1); }
+  }
+  return (2 * shared) / (gx.length + gy.length || 1);
+}
+
+// Best confident match for a spot among the search results, or null.
+function bestMatch(spot, places) {
+  let best = null;
+  for (const place of places) {
+    const score = nameScore(spot.name, place.displayName && place.displayName.text);
+    if (score < MIN_NAME_SCORE) continue;
+
+    if (spot.lat != null && place.location) {
+      const d = distanceMetres(spot.lat, spot.lng, place.location.latitude, place.location.longitude);
+      if (d > MAX_DISTANCE_M) continue;
+    }
+    if (!best || score > best.score) best = { place, score: Number(score.toFixed(2)) };
+  }
+  return best;
+}
+
+function queryFor(spot, city) {
+  return [spot.name, spot.address || spot.area, city].filter(Boolean).join(', ');
+}
+
+// Bias results towards the spot's geocoded position, or the city as a whole
+function biasFor(spot, config) {
+  const center = spot.lat != null ? { latitude: spot.lat, longitude: spot.lng } : config.center;
+  return { circle: { center, radius: spot.lat != null ? MAX_DISTANCE_M : 30000 } };
+}
+
+// ── Applying results ─────────────────────────────────────────────────────────
+
+// Copies Places data onto a matched spot. The name is left alone — it may
+// have been corrected by an admin.
+function applyPlace(spot, place) {
+  spot.placeId        = place.id;
+  spot.rating         = place.rating || null;
+  spot.reviewCount    = place.userRatingCount || null;
+  spot.priceLevel     = place.priceLevel || null;
+  spot.mapsUrl        = place.googleMapsUri || spot.mapsUrl || null;
+  spot.businessStatus = place.businessStatus || null;
+  if (place.location) {
+    spot.lat = place.location.latitude;
+    spot.lng = place.location.longitude;
+  }
+  if (!spot.address && place.formattedAddress) spot.address = place.formattedAddress;
+}
+
+// Applies one check result to the stored spot. `others` maps placeIds to
+// the other spots in the store, for spotting duplicates.
+function applyResult(spot, result, others, now) {
+  const { match, query } = result;
+  const previous = spot.verification || {};
+  let status = 'unverified';
+  let duplicateOf = null;
+
+  if (match) {
+    const other = others.get(match.place.id);
+    if (other && other !== spot) {
+      status = 'duplicate';
+      duplicateOf = other;
+    } else {
+      status = match.place.businessStatus === 'CLOSED_PERMANENTLY' ? 'closed' : 'verified';
+      applyPlace(spot, match.place);
+    }
+    addEvidence(duplicateOf || spot, placeEvidence(match.place, { source: 'verify', at: now }));
+    if (duplicateOf) {
+      addEvidence(duplicateOf, spot.evidence || []);
+      touch(duplicateOf, now);
+    }
+  }
+
+  // Only undo a hide this script made — never one an admin made
+  let hidByVerify = !!previous.hidByVerify && !!spot.hidden;
+  if (status === 'verified') {
+    if (hidByVerify) spot.hidden = false;
+    hidByVerify = false;
+  } else if (!spot.hidden) {
+    spot.hidden = true;
+    hidByVerify = true;
+  }
+
+  spot.verification = {
+    status,
+    checkedAt:   now,
+    query,
+    placeId:     match ? match.place.id : null,
+    placeName:   match ? (match.place.displayName && match.place.displayName.text) || '' : null,
+    matchScore:  match ? match.score : null,
+    hidByVerify,
+    ...(duplicateOf ? { duplicateOf: duplicateOf.id } : {}),
+  };
+  touch(spot, now);
+  return status;
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// `places` in the context replaces the Places client, for tests
+async function run(opts, { store, config, dryRun, budgets, places }) {
+  const key   = process.env.GOOGLE_PLACES_KEY || process.env.GOOGLE_MAPS_KEY;
+  const limit = opts.limit || Infinity;
+
+  // Searches are spaced out only when they go to Google
+  const throttle = !places && !opts.fake;
+  if (!places && opts.fake) {
+    places = createFakePlacesClient({ file: path.resolve(opts.fake) });
+  } else if (!places) {
+    if (!key) throw new Error('GOOGLE_PLACES_KEY not set in .env');
+    places = createPlacesClient({
+      key,
+      budget: budgets && budgets.budgets['places-text'],
+      ...(process.env.PLACES_API_BASE ? { baseUrl: process.env.PLACES_API_BASE } : {}),
+    });
+  }
+
+  console.log('\nGözleme Finder — AI Spot Verifier');
+  console.log('==================================');
+
+  const data    = await store.read();
+  const pending = data.spots
+    .filter(s => s.source === 'ai' && regionOf(s) === config.id && (opts.recheck || !s.verification))
+    .slice(0, limit);
+
+  console.log('Checking ' + pending.length + ' AI spots against Google Places' + (opts.fake ? ' (fake: ' + opts.fake + ')' : '') + '...\n');
+
+  // Look everything up first, outside the store lock
+  const results = new Map();   // spot id → { query, match }
+  let apiErrors = 0;
+  for (let i = 0; i < pending.length; i++) {
+    const spot  = pending[i];
+    const query = queryFor(spot, config.city);
+    process.stdout.write('  [' + (i + 1) + '/' + pending.length + '] ' + spot.name + '... ');
+
+    try {
+      const found = await places.searchText({ textQuery: query, fields: PLACE_FIELDS, locationBias: biasFor(spot, config) });
+      const match = bestMatch(spot, found);
+      results.set(spot.id, { query, match });
+      console.log(match ? 'matched ' + match.place.displayName.text + ' (' + match.score + ')' : 'no match in ' + found.length + ' results');
+    } catch (e) {
+      apiErrors++;
+      console.log('ERROR: ' + e.message);
+      if (e.exhausted) break;
+      if (apiErrors >= 10) {
+        console.error('\nToo many API errors — stopping early.');
+        break;
+      }
+    }
+
+    if (throttle && i < pending.length - 1) await sleep(250);
+  }
+
+  // Apply the results under the lock, to a fresh copy of the store, so admin
+  // edits made during the run are kept
+  const apply = d => {
+    const now    = new Date().toISOString();
+    const others = new Map();
+    for (const s of d.spots) {
+      if (s.placeId) others.set(s.placeId, s);
+      others.set(s.id, s);
+    }
+
+    const report = { verified: [], closed: [], unverified: [], duplicate: [] };
+    for (const spot of d.spots) {
+      const result = results.get(spot.id);
+      if (!result) continue;
+      const status = applyResult(spot, result, others, now);
+      report[status].push(spot);
+    }
+    return report;
+  };
+
+  const report = await store.update(apply);
+
+  console.log('\n==================================');
+  console.log('Verified    ' + report.verified.length);
+  console.log('Closed      ' + report.closed.length + ' (hidden)');
+  console.log('Unverified  ' + report.unverified.length + ' (hidden)');
+  console.log('Duplicate   ' + report.duplicate.length + ' (hidden — evidence moved to the existing spot)');
+  if (apiErrors) console.log('Errors      ' + apiErrors + ' (left unchecked — run again to retry)');
+
+  for (const status of ['closed', 'unverified', 'duplicate']) {
+    if (!report[status].length) continue;
+    console.log('\n' + status[0].toUpperCase() + status.slice(1) + ':');
+    for (const s of report[status]) {
+      const v = s.verification;
+      console.log('  ' + s.id.padEnd(18) + ' ' + s.name + (s.area ? ' (' + s.area + ')' : '')
+        + (v.placeName && v.placeName !== s.name ? ' → ' + v.placeName : '')
+        + (v.duplicateOf ? ' = ' + v.duplicateOf : ''));
+    }
+  }
+
+  if (!dryRun) console.log('\nSaved  → ' + path.relative(process.cwd(), store.file));
+  console.log('==================================\n');
+}
+
+module.exports = {
+  name:    'verify',
+  summary: 'Check AI-suggested spots against Google Places and hide the ones that don\'t check out',
+  writes:  true,
+  options: {
+    recheck: { type: 'boolean', help: 'check every AI spot again, not just unchecked ones' },
+    limit:   { type: 'int', arg: 'n', help: 'stop after this many spots' },
+    fake:    { type: 'string', arg: 'file', help: 'search a JSON fixture of Places results instead of Google' },
+  },
+  run,
+};
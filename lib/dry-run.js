@@ -0,0 +1,114 @@
+/**
+ * Gözleme Finder — Dry Runs
+ *
+ * A stand-in for the spot store that keeps every update in memory, so a
+ * data tool can run for real against the current store without writing
+ * anything. Afterwards diff() compares the result with the store as it was
+ * and formatDiff() prints the spots that would be added, removed or changed.
+ */
+
+// Fields every change touches — not worth listing in a diff
+const BOOKKEEPING = ['updatedAt', 'version'];
+
+const COLLECTIONS = ['spots', 'curated', 'suggestions'];
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// Wraps a spot store ({ file, read, update }). The first read takes a copy of
+// the real store; updates then apply to that copy only.
+function createDryRunStore(store) {
+  let original = null;
+  let working  = null;
+
+  async function load() {
+    if (!working) {
+      original = await store.read();
+      working  = clone(original);
+    }
+  }
+
+  async function read() {
+    await load();
+    return clone(working);
+  }
+
+  async function update(fn) {
+    await load();
+    const draft  = clone(working);
+    const result = await fn(draft);
+    working = draft;
+    return result;
+  }
+
+  function diff() {
+    return working ? diffData(original, working) : { added: [], removed: [], changed: [] };
+  }
+
+  return { file: store.file, dryRun: true, read, update, diff };
+}
+
+// A missing field and a null one are the same thing in the store
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Compares two copies of the store by spot ID, collection by collection.
+// Returns { added, removed, changed } — changed entries list the fields
+// that differ as { field, before, after }.
+function diffData(before, after) {
+  const result = { added: [], removed: [], changed: [] };
+
+  for (const collection of COLLECTIONS) {
+    const old = new Map((before[collection] || []).map(s => [s.id, s]));
+    const now = new Map((after[collection]  || []).map(s => [s.id, s]));
+
+    for (const [id, spot] of now) {
+      const prev = old.get(id);
+      if (!prev) {
+        result.added.push({ collection, spot });
+        continue;
+      }
+      const fields = [...new Set([...Object.keys(prev), ...Object.keys(spot)])]
+        .filter(f => !BOOKKEEPING.includes(f) && !same(prev[f], spot[f]))
+        .map(field => ({ field, before: prev[field], after: spot[field] }));
+      if (fields.length) result.changed.push({ collection, spot, fields });
+    }
+    for (const [id, spot] of old) {
+      if (!now.has(id)) result.removed.push({ collection, spot });
+    }
+  }
+  return result;
+}
+
+function short(value) {
+  if (value == null || value === '') return '—';
+  if (typeof value === 'object') return Array.isArray(value) ? '[' + value.length + ']' : '{…}';
+  const text = String(value);
+  return text.length > 40 ? text.substring(0, 39) + '…' : text;
+}
+
+function label(collection, spot) {
+  return (collection === 'spots' ? '' : collection + ' ') + (spot.id || '?') + '  '
+    + (spot.name || 'Unknown') + (spot.area ? ' (' + spot.area + ')' : '');
+}
+
+// Lines describing a diff, at most `limit` spots per kind of change.
+function formatDiff(diff, { limit = 50 } = {}) {
+  const lines = [diff.added.length + ' added, ' + diff.changed.length + ' changed, ' + diff.removed.length + ' removed'];
+
+  const section = (items, prefix, describe) => {
+    for (const item of items.slice(0, limit)) lines.push('  ' + prefix + ' ' + describe(item));
+    if (items.length > limit) lines.push('    … and ' + (items.length - limit) + ' more');
+  };
+
+  section(diff.added,   '+', ({ collection, spot }) => label(collection, spot));
+  section(diff.removed, '-', ({ collection, spot }) => label(collection, spot));
+  section(diff.changed, '~', ({ collection, spot, fields }) => label(collection, spot) + ': '
+    + fields.map(f => typeof f.after === 'object' && f.after !== null
+      ? f.field
+      : f.field + ' ' + short(f.before) + ' → ' + short(f.after)).join(', '));
+
+  return lines;
+}
+
+module.exports = { createDryRunStore, diffData, formatDiff };
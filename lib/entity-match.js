@@ -0,0 +1,304 @@
+/**
+ * Gözleme Finder — Entity Matching
+ *
+ * Decides whether two spots are the same place. Used wherever spots from
+ * different sources meet: the /api/search merge, suggestion matches, the
+ * builders merging into the store, `gozleme dedupe` and the admin merge
+ * review.
+ *
+ * matchSpots(a, b, { genericWords }) weighs the evidence and returns a decision:
+ *
+ *   { decision: 'same' | 'maybe' | 'different', score, reasons }
+ *
+ *   - Google placeIds settle it when both spots have one.
+ *   - Different branch labels ("Efes (Dalston)" / "Efes (Whitechapel)") or
+ *     numbers ("Mangal" / "Mangal 2"), postcode districts, or positions more
+ *     than 1 km apart mean different places, however alike the names —
+ *     chains keep their branches. A branch label on only one of the names
+ *     ("Efes Restaurant (Dalston)" / "Efes Restaurant") could be that branch
+ *     or another, so such a pair is at most 'maybe'.
+ *   - Otherwise name similarity (ignoring case, accents and generic words
+ *     like "restaurant") is blended with how close the spots are: distance
+ *     when both have coordinates, else postcode, address or area.
+ *
+ * `genericWords` are the words the region's spots share because of where
+ * they are — the city's name, say (genericWordSet(placeNamesOf(region)),
+ * see lib/build-config.js). They are ignored like "restaurant" is, so both
+ * spots being compared should come from that region.
+ *
+ * 'same' is safe to merge automatically; 'maybe' needs an admin to look.
+ */
+
+const { addEvidence }    = require('./evidence');
+const { distanceMetres } = require('./geo');
+
+// Words that say what kind of place it is rather than which one
+const GENERIC_WORDS = new Set([
+  'the', 'and', 'restaurant', 'restaurants', 'cafe', 'kitchen', 'grill', 'bar', 'ltd', 'limited',
+  'turkish', 'gozleme', 'gozlemi', 'cuisine', 'food', 'co',
+]);
+
+const NO_WORDS = new Set();
+
+const FAR_METRES    = 1000;   // further apart than this is never the same place
+const SAME_SCORE    = 0.85;   // at or above: merge automatically
+const MAYBE_SCORE   = 0.6;    // at or above: worth an admin's look
+const NAME_WEIGHT   = 0.6;    // the rest of the score is location
+
+const POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+// ── Names ────────────────────────────────────────────────────────────────────
+
+function fold(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The words of `names`, folded as names are — a region's generic words
+// from its place names ("Greater Manchester" → 'greater', 'manchester')
+function genericWordSet(names) {
+  return new Set(names.flatMap(n => fold(n).split(' ')).filter(Boolean));
+}
+
+// Splits a name into its distinguishing words and a branch label, taken
+// from a trailing "(…)" or " - …": "Efes Restaurant (Whitechapel)" →
+// { tokens: ['efes'], core: 'efes', branch: 'whitechapel' }. Words in
+// `genericWords` are dropped along with GENERIC_WORDS.
+function parseName(name, genericWords = NO_WORDS) {
+  let text   = String(name || '');
+  let branch = null;
+
+  const m = /\(([^)]+)\)\s*$/.exec(text) || /\s[-–|]\s(.+)$/.exec(text);
+  if (m) {
+    branch = fold(m[1]) || null;
+    text   = text.slice(0, m.index);
+  }
+
+  const words    = fold(text).split(' ').filter(Boolean);
+  const specific = words.filter(w => !GENERIC_WORDS.has(w) && !genericWords.has(w));
+  const tokens   = specific.length ? specific : words;
+  return { tokens, core: tokens.join(''), branch };
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+function dice(x, y) {
+  const gx   = bigrams(x);
+  const pool = bigrams(y);
+  const total = gx.length + pool.length;
+  let shared = 0;
+  for (const g of gx) {
+    const i = pool.indexOf(g);
+    if (i !== -1) { shared++; pool.splice(i, 1); }
+  }
+  return total ? (2 * shared) / total : 0;
+}
+
+// 0–1 similarity of two names, ignoring branch labels: 1 when their
+// distinguishing words match, else the better of word overlap and the
+// letter-pair (Dice) similarity of the words run together.
+function nameSimilarity(a, b, genericWords) {
+  const x = parseName(a, genericWords);
+  const y = parseName(b, genericWords);
+  if (!x.core || !y.core) return 0;
+  if (x.core === y.core) return 1;
+
+  const shared = x.tokens.filter(t => y.tokens.includes(t)).length;
+  const jaccard = shared / new Set([...x.tokens, ...y.tokens]).size;
+  return Number(Math.max(jaccard, dice(x.core, y.core)).toFixed(2));
+}
+
+// ── Location ─────────────────────────────────────────────────────────────────
+
+// "241 Commercial Rd, London E1 2BT, UK" → { outward: 'E1', full: 'E12BT' }
+function extractPostcode(address) {
+  const m = POSTCODE_PATTERN.exec(String(address || ''));
+  return m ? { outward: m[1].toUpperCase(), full: (m[1] + m[2]).toUpperCase() } : null;
+}
+
+const hasCoords = s => s.lat != null && s.lng != null;
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+function result(decision, score, reasons) {
+  return { decision, score: Number(score.toFixed(2)), reasons };
+}
+
+// Options:
+//   genericWords  — the region's generic words, from genericWordSet()
+function matchSpots(a, b, { genericWords } = {}) {
+  if (a.placeId && b.placeId) {
+    return a.placeId === b.placeId
+      ? result('same', 1, ['same Google place'])
+      : result('different', 0, ['different Google places']);
+  }
+
+  const na = parseName(a.name, genericWords);
+  const nb = parseName(b.name, genericWords);
+  if (na.branch && nb.branch && na.branch !== nb.branch) {
+    return result('different', 0, ['different branches: ' + na.branch + ' / ' + nb.branch]);
+  }
+  const numbers = n => n.tokens.filter(t => /^\d+$/.test(t)).sort().join(' ');
+  if (numbers(na) !== numbers(nb)) {
+    return result('different', 0, ['different numbers: ' + a.name + ' / ' + b.name]);
+  }
+
+  const name    = nameSimilarity(a.name, b.name, genericWords);
+  const reasons = [name === 1 ? 'same name' : 'names ' + Math.round(name * 100) + '% alike'];
+
+  const pa = extractPostcode(a.address);
+  const pb = extractPostcode(b.address);
+  if (pa && pb && pa.outward !== pb.outward) {
+    return result('different', 0, [...reasons, 'different postcodes: ' + pa.outward + ' / ' + pb.outward]);
+  }
+
+  let location;
+  if (hasCoords(a) && hasCoords(b)) {
+    const d = distanceMetres(a.lat, a.lng, b.lat, b.lng);
+    if (d > FAR_METRES) return result('different', 0, [...reasons, Math.round(d) + ' m apart']);
+    location = d <= 50 ? 1 : d <= 150 ? 0.8 : d <= 400 ? 0.4 : 0.1;
+    reasons.push(Math.round(d) + ' m apart');
+  } else if (pa && pb && pa.full === pb.full) {
+    location = 1;
+    reasons.push('same postcode');
+  } else if (a.address && fold(a.address) === fold(b.address)) {
+    location = 1;
+    reasons.push('same address');
+  } else if (pa && pb) {
+    location = 0.5;
+    reasons.push('same postcode district');
+  } else if (a.area && fold(a.area) === fold(b.area)) {
+    location = 0.4;
+    reasons.push('same area');
+  } else {
+    location = 0.2;
+    reasons.push('no location to compare');
+  }
+
+  const score = NAME_WEIGHT * name + (1 - NAME_WEIGHT) * location;
+  if (score >= SAME_SCORE && !na.branch !== !nb.branch) {
+    return result('maybe', score, [...reasons, 'only one name has a branch label: ' + (na.branch || nb.branch)]);
+  }
+  return result(score >= SAME_SCORE ? 'same' : score >= MAYBE_SCORE ? 'maybe' : 'different', score, reasons);
+}
+
+// Spots an admin has marked as not the same place
+function markedDistinct(a, b) {
+  return (a.distinctFrom || []).includes(b.id) || (b.distinctFrom || []).includes(a.id);
+}
+
+// An index over a list of spots for finding matches without comparing every
+// pair: candidates share a placeId or a distinguishing name word. Takes the
+// options of matchSpots().
+function createSpotIndex(spots = [], { genericWords } = {}) {
+  const buckets = new Map();
+
+  function keys(spot) {
+    const { tokens } = parseName(spot.name, genericWords);
+    return [
+      ...(spot.placeId ? ['p:' + spot.placeId] : []),
+      ...tokens.filter(t => t.length >= 3).map(t => 'n:' + t),
+    ];
+  }
+
+  function add(spot) {
+    for (const key of keys(spot)) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(spot);
+    }
+  }
+
+  function candidates(spot) {
+    const found = new Set();
+    for (const key of keys(spot)) {
+      for (const other of buckets.get(key) || []) if (other !== spot) found.add(other);
+    }
+    return [...found];
+  }
+
+  // The best-scoring match at or above `min` ('same' or 'maybe'), as
+  // { spot, decision, score, reasons }, or null.
+  function bestMatch(spot, { min = 'same' } = {}) {
+    let best = null;
+    for (const other of candidates(spot)) {
+      if (markedDistinct(spot, other)) continue;
+      const match = matchSpots(spot, other, { genericWords });
+      if (match.decision === 'different' || (min === 'same' && match.decision !== 'same')) continue;
+      if (!best || match.score > best.score) best = { spot: other, ...match };
+    }
+    return best;
+  }
+
+  for (const spot of spots) add(spot);
+  return { add, candidates, bestMatch };
+}
+
+// Every pair of spots judged 'same' or 'maybe', best first, leaving out
+// pairs an admin has marked as different places. Takes the options of
+// matchSpots().
+function findDuplicatePairs(spots, { genericWords } = {}) {
+  const index = createSpotIndex(spots, { genericWords });
+  const order = new Map(spots.map((s, i) => [s, i]));
+  const pairs = [];
+
+  for (const a of spots) {
+    for (const b of index.candidates(a)) {
+      if (order.get(b) <= order.get(a) || markedDistinct(a, b)) continue;
+      const match = matchSpots(a, b, { genericWords });
+      if (match.decision !== 'different') pairs.push({ a, b, ...match });
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+// ── Merging ──────────────────────────────────────────────────────────────────
+
+// Which of two stored spots should survive a merge: the one with a placeId,
+// then Places over other sources, then visible, then stronger evidence, then
+// the older. Negative when `a` should be kept.
+function compareSurvivors(a, b) {
+  const rank = s => [s.placeId ? 0 : 1, s.source === 'places' ? 0 : 1, s.hidden ? 1 : 0, -(s.evidenceScore || 0), s.createdAt || ''];
+  const ra = rank(a);
+  const rb = rank(b);
+  for (let i = 0; i < ra.length; i++) {
+    if (ra[i] < rb[i]) return -1;
+    if (ra[i] > rb[i]) return 1;
+  }
+  return 0;
+}
+
+const FILLABLE = ['address', 'area', 'description', 'lat', 'lng', 'rating', 'reviewCount', 'priceLevel', 'mapsUrl', 'placeId'];
+
+// Folds `other` into `keep`: fills keep's blank fields, unions tags and
+// evidence, and records where it came from in keep.mergedFrom. `by` names
+// what merged them ('dedupe', or an admin's username).
+function mergeSpotInto(keep, other, { by, at = new Date().toISOString() } = {}) {
+  for (const field of FILLABLE) {
+    const blank = v => v == null || v === '';
+    if (blank(keep[field]) && !blank(other[field])) keep[field] = other[field];
+  }
+  keep.tags = [...new Set([...(keep.tags || []), ...(other.tags || [])])];
+  addEvidence(keep, other.evidence || []);
+  keep.mergedFrom = [
+    ...(keep.mergedFrom || []),
+    { id: other.id, name: other.name, source: other.source || null, placeId: other.placeId || null, at, by: by || null },
+    ...(other.mergedFrom || []),
+  ];
+  return keep;
+}
+
+module.exports = {
+  genericWordSet,
+  parseName,
+  nameSimilarity,
+  extractPostcode,
+  matchSpots,
+  createSpotIndex,
+  findDuplicatePairs,
+  compareSurvivors,
+  mergeSpotInto,
+};
@@ -0,0 +1,128 @@
+/**
+ * Gözleme Finder — Evidence & Confidence
+ *
+ * Why we believe a spot serves gözleme. Each spot carries an `evidence`
+ * array of records:
+ *
+ *   { kind, source, detail, at }
+ *
+ *   kind    'places-name'   — the Google Places name mentions gözleme
+ *           'review'        — a Google review mentions gözleme
+ *           'places-type'   — Google lists it as a Turkish (or similar) restaurant
+ *           'places-search' — it came back from a "gozleme near …" text search
+ *           'ai'            — Claude suggested it
+ *           'curated'       — an admin added or promoted it
+ *   source  what produced the record ('postcode-builder', 'cache-builder', 'admin', 'search')
+ *   detail  the matching text, query or area, for admins to check
+ *   at      ISO timestamp
+ *
+ * and an `evidenceScore` between 0 and 1 computed from it. Each kind has a
+ * weight (how likely the spot is real if that's all we know); weights of
+ * different kinds combine as independent signals, and repeats of one kind
+ * don't add up.
+ */
+
+const GOZLEME_TERMS = ['gozleme', 'gözleme', 'gozlemé', 'gozlemi', 'gözlemi'];
+
+const EVIDENCE_WEIGHTS = {
+  'curated':       0.95,
+  'places-name':   0.9,
+  'review':        0.8,
+  'ai':            0.35,
+  'places-type':   0.3,
+  'places-search': 0.15,
+};
+
+// Google place types where gözleme on the menu is plausible
+const GOZLEME_PLACE_TYPES = ['turkish_restaurant', 'middle_eastern_restaurant', 'mediterranean_restaurant'];
+
+const MAX_RECORDS = 12;   // per spot — oldest records beyond this are dropped
+
+function mentionsGozleme(text) {
+  if (!text) return false;
+  const lower = text.toLowerCase();
+  return GOZLEME_TERMS.some(t => lower.includes(t));
+}
+
+function evidenceRecord(kind, source, detail, at = new Date().toISOString()) {
+  return { kind, source, detail: detail ? String(detail).substring(0, 200) : '', at };
+}
+
+// Evidence from a Google Places (New) result. `query` is the text search it
+// came from, if any. Reviews and types are only used if they were requested
+// in the field mask.
+function placeEvidence(place, { source, query, at } = {}) {
+  const records = [];
+  const name    = place.displayName?.text || '';
+
+  if (mentionsGozleme(name)) records.push(evidenceRecord('places-name', source, name, at));
+
+  const types = [place.primaryType, ...(place.types || [])].filter(Boolean);
+  const type  = types.find(t => GOZLEME_PLACE_TYPES.includes(t));
+  if (type) records.push(evidenceRecord('places-type', source, type, at));
+
+  const review = place.matchedReview
+    || (place.reviews || []).map(r => r.text?.text || r.originalText?.text || '').find(mentionsGozleme);
+  if (review) records.push(evidenceRecord('review', source, review, at));
+
+  if (query) records.push(evidenceRecord('places-search', source, query, at));
+  return records;
+}
+
+// Best guess at the evidence behind a spot stored before evidence was
+// recorded, from its source and name.
+function inferEvidence(spot, collection = 'spots') {
+  const at = spot.createdAt || spot.cachedAt;
+  if (collection === 'curated' || spot.source === 'curated') return [evidenceRecord('curated', 'admin', '', at)];
+
+  const records = [];
+  if (spot.source === 'ai') records.push(evidenceRecord('ai', 'cache-builder', spot.area, at));
+  if (spot.source === 'places') {
+    if (mentionsGozleme(spot.name)) records.push(evidenceRecord('places-name', 'postcode-builder', spot.name, at));
+    records.push(evidenceRecord('places-search', 'postcode-builder', '', at));
+  }
+  return records;
+}
+
+// Combines evidence into a 0–1 score: the strongest record of each kind
+// counts once, and kinds combine as independent signals (noisy OR).
+function scoreEvidence(evidence) {
+  const best = {};
+  for (const record of evidence || []) {
+    const weight = EVIDENCE_WEIGHTS[record.kind] || 0;
+    best[record.kind] = Math.max(best[record.kind] || 0, weight);
+  }
+  const doubt = Object.values(best).reduce((p, w) => p * (1 - w), 1);
+  return Number((1 - doubt).toFixed(3));
+}
+
+// Adds records to spot.evidence — a record with the same kind and detail
+// replaces the older one — and recomputes spot.evidenceScore. A spot stored
+// before evidence was recorded starts from its inferred evidence. Returns
+// true if the evidence changed.
+function addEvidence(spot, records) {
+  const evidence = [...(spot.evidence || inferEvidence(spot))];
+  const keys     = list => list.map(r => r.kind + '|' + r.detail).sort().join('\n');
+  const before   = keys(evidence);
+
+  for (const record of records) {
+    const i = evidence.findIndex(r => r.kind === record.kind && r.detail === record.detail);
+    if (i !== -1) evidence.splice(i, 1);
+    evidence.push(record);
+  }
+
+  spot.evidence      = evidence.slice(-MAX_RECORDS);
+  spot.evidenceScore = scoreEvidence(spot.evidence);
+  return keys(spot.evidence) !== before;
+}
+
+module.exports = {
+  GOZLEME_TERMS,
+  EVIDENCE_WEIGHTS,
+  mentionsGozleme,
+  evidenceRecord,
+  placeEvidence,
+  inferEvidence,
+  scoreEvidence,
+  addEvidence,
+};
@@ -0,0 +1,169 @@
+/**
+ * Gözleme Finder — Spot Export
+ *
+ * Turns stored spots into a file for use elsewhere: the store's own JSON,
+ * GeoJSON for QGIS and other mapping tools, KML for Google My Maps and
+ * Google Earth, or CSV for spreadsheets. Each spot is reduced to the same
+ * public fields in every format; admin-only state (versions, verification
+ * and suggestion details) is left out.
+ *
+ * selectSpots() picks the spots to export from the store — discovered and
+ * curated together — and is shared by GET /api/export and `gozleme export`,
+ * as is parseFilters(), which reads their filters:
+ *
+ *   source     — "ai", "places" and/or "curated", comma-separated
+ *   bbox       — "minLng,minLat,maxLng,maxLat" (the GeoJSON / WMS order)
+ *   minRating  — Google rating, 0–5; unrated spots are left out
+ */
+
+const { regionOf } = require('./build-config');
+const { inBounds } = require('./geo');
+
+const EXPORT_FORMATS = ['json', 'geojson', 'kml', 'csv'];
+const SOURCES        = ['ai', 'places', 'curated'];
+
+const FIELDS = [
+  'id', 'name', 'area', 'address', 'lat', 'lng', 'rating', 'reviewCount', 'priceLevel',
+  'mapsUrl', 'placeId', 'source', 'region', 'businessStatus', 'tags', 'description',
+  'evidenceScore', 'updatedAt',
+];
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Filters from a request's query string or the CLI's options, as strings.
+// Returns { sources, bbox, minRating } with null for any not given; throws
+// (status 400) on a bad value.
+function parseFilters({ source, bbox, minRating } = {}) {
+  const filters = { sources: null, bbox: null, minRating: null };
+
+  if (source != null && source !== '') {
+    filters.sources = String(source).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const unknown = filters.sources.find(s => !SOURCES.includes(s));
+    if (unknown) throw filterError('Unknown source: ' + unknown + ' (use ' + SOURCES.join(', ') + ')');
+  }
+
+  if (bbox != null && bbox !== '') {
+    const n = String(bbox).split(',').map(v => (v.trim() === '' ? NaN : Number(v)));
+    const [minLng, minLat, maxLng, maxLat] = n;
+    if (n.length !== 4 || !n.every(Number.isFinite) || minLat > maxLat || minLng > maxLng
+        || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLng) > 180 || Math.abs(maxLng) > 180) {
+      throw filterError('bbox must be minLng,minLat,maxLng,maxLat');
+    }
+    filters.bbox = { minLat, maxLat, minLng, maxLng };
+  }
+
+  if (minRating != null && minRating !== '') {
+    filters.minRating = Number(minRating);
+    if (!(filters.minRating >= 0 && filters.minRating <= 5)) throw filterError('minRating must be a number between 0 and 5');
+  }
+
+  return filters;
+}
+
+// Options:
+//   sources        — sources to include (default all); curated spots are "curated"
+//   bbox           — { minLat, maxLat, minLng, maxLng }; spots without
+//                    coordinates are left out when one is given
+//   minRating      — leave out spots rated lower, or not rated
+//   region         — region id (default every region)
+//   includeHidden  — keep spots hidden by an admin or by verify
+// Returns the discovered spots then the curated ones.
+function selectSpots(data, { sources = null, bbox = null, minRating = null, region = null, includeHidden = false } = {}) {
+  return [
+    ...data.spots,
+    ...data.curated.map(s => ({ ...s, source: 'curated' })),
+  ].filter(s => (includeHidden || !s.hidden)
+    && (!sources || sources.includes(s.source))
+    && (!region || regionOf(s) === region)
+    && (!bbox || (s.lat != null && s.lng != null && inBounds(s.lat, s.lng, bbox)))
+    && (minRating == null || (s.rating != null && s.rating >= minRating)));
+}
+
+function publicFields(spot) {
+  const out = {};
+  for (const field of FIELDS) out[field] = spot[field] ?? (field === 'tags' ? [] : null);
+  out.region = regionOf(spot);
+  return out;
+}
+
+// Text a spreadsheet would read as a formula ("=HYPERLINK(…)", "+1", "@SUM")
+// is prefixed with ' so it shows as typed. Numbers are left as they are, so
+// a negative longitude stays a number.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = '\'' + text;
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function xmlText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// One Placemark per spot, with every other field kept as ExtendedData so
+// My Maps can show it in the info panel
+function kmlPlacemark({ name, address, description, lat, lng, ...rest }) {
+  const data = Object.entries(rest)
+    .filter(([, value]) => value != null && value !== '' && !(Array.isArray(value) && !value.length))
+    .map(([field, value]) => '        <Data name="' + field + '"><value>' + xmlText(Array.isArray(value) ? value.join(';') : value) + '</value></Data>')
+    .join('\n');
+  return [
+    '    <Placemark>',
+    '      <name>' + xmlText(name || '') + '</name>',
+    address ? '      <address>' + xmlText(address) + '</address>' : null,
+    description ? '      <description>' + xmlText(description) + '</description>' : null,
+    '      <ExtendedData>',
+    data,
+    '      </ExtendedData>',
+    '      <Point><coordinates>' + lng + ',' + lat + '</coordinates></Point>',
+    '    </Placemark>',
+  ].filter(line => line != null && line !== '').join('\n');
+}
+
+// Returns { body, contentType, extension } for `spots` in `format`.
+function exportSpots(spots, format = 'json') {
+  const rows = spots.map(publicFields);
+  // Spots without coordinates can't be placed on a map
+  const placed = rows.filter(s => s.lat != null && s.lng != null);
+
+  switch (format) {
+    case 'json':
+      return { body: JSON.stringify({ exportedAt: new Date().toISOString(), spots: rows }, null, 2) + '\n', contentType: 'application/json', extension: 'json' };
+
+    case 'geojson': {
+      const features = placed.map(({ lat, lng, ...properties }) => ({
+        type:       'Feature',
+        geometry:   { type: 'Point', coordinates: [lng, lat] },
+        properties,
+      }));
+      return { body: JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n', contentType: 'application/geo+json', extension: 'geojson' };
+    }
+
+    case 'kml': {
+      const body = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>Gözleme Finder</name>',
+        ...placed.map(kmlPlacemark),
+        '  </Document>',
+        '</kml>',
+      ].join('\n') + '\n';
+      return { body, contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' };
+    }
+
+    case 'csv': {
+      const lines = [FIELDS.join(','), ...rows.map(s => FIELDS.map(f => csvCell(s[f])).join(','))];
+      return { body: lines.join('\r\n') + '\r\n', contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    }
+
+    default:
+      throw new Error('Unknown export format: ' + format + ' (use ' + EXPORT_FORMATS.join(', ') + ')');
+  }
+}
+
+module.exports = { EXPORT_FORMATS, SOURCES, parseFilters, selectSpots, exportSpots };
@@ -0,0 +1,62 @@
+/**
+ * Gözleme Finder — Geometry
+ *
+ * Distances and shapes on the earth's surface, shared by the server and the
+ * data tools:
+ *
+ *   distanceMetres / distanceKm  — great-circle (haversine) distance
+ *   boundingBox                  — the smallest lat/lng box around a circle,
+ *                                  worked out for the circle's own latitude
+ *   inBounds                     — is a point inside a box?
+ *   pointInPolygon               — is a point inside a polygon?
+ *
+ * Boxes are { minLat, maxLat, minLng, maxLng }. Polygons are GeoJSON-style
+ * rings of [lng, lat] pairs — longitude first — and need not repeat their
+ * first point at the end.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+const rad = d => d * Math.PI / 180;
+const deg = r => r * 180 / Math.PI;
+
+function distanceMetres(lat1, lng1, lat2, lng2) {
+  const h = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  return distanceMetres(lat1, lng1, lat2, lng2) / 1000;
+}
+
+// The box just enclosing a circle of `radiusMetres` around lat/lng. A degree
+// of longitude shrinks towards the poles, so the box widens with latitude;
+// a circle that reaches a pole spans every longitude.
+function boundingBox(lat, lng, radiusMetres) {
+  const angle  = radiusMetres / EARTH_RADIUS_M;
+  const minLat = lat - deg(angle);
+  const maxLat = lat + deg(angle);
+  if (minLat <= -90 || maxLat >= 90) {
+    return { minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLng: -180, maxLng: 180 };
+  }
+  const dLng = deg(Math.asin(Math.min(Math.sin(angle) / Math.cos(rad(lat)), 1)));
+  return { minLat, maxLat, minLng: lng - dLng, maxLng: lng + dLng };
+}
+
+function inBounds(lat, lng, box) {
+  return lat >= box.minLat && lat <= box.maxLat && lng >= box.minLng && lng <= box.maxLng;
+}
+
+// Ray casting: counts the polygon edges a line east from the point crosses
+function pointInPolygon(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < xi + (lat - yi) * (xj - xi) / (yj - yi)) inside = !inside;
+  }
+  return inside;
+}
+
+module.exports = { EARTH_RADIUS_M, distanceMetres, distanceKm, boundingBox, inBounds, pointInPolygon };
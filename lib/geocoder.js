@@ -0,0 +1,300 @@
+/**
+ * Gözleme Finder — Geocoding
+ *
+ * Turns a search or an address into coordinates through a chain of
+ * providers, tried in order until one has an answer:
+ *
+ *   createPostcodeGeocoder({ file })      — UK postcodes, full ("E1 6TY") or
+ *                                           outward ("E17"), from a local CSV
+ *                                           of postcode centroids; no network
+ *   createGoogleGeocoder({ key, cache })  — the Google Geocoding API
+ *   createFakeGeocoder({ file })          — fixed answers from a JSON fixture
+ *                                           file, for testing
+ *
+ * Every provider has the same shape:
+ *
+ *   { name, geocode(query) → { lat, lng } | null, reverse(lat, lng) → label | null }
+ *
+ * and chainGeocoders() combines several into one of those. A provider that
+ * has no answer (null) or fails passes the query on to the next; the chain
+ * returns null only when none failed, so a Google outage is never mistaken
+ * for "no such place".
+ *
+ * The postcode CSV needs a header row naming its postcode and coordinate
+ * columns: the ONS Postcode Directory's `pcds`, `lat` and `long` work as
+ * they are, as do `postcode`, `latitude` and `longitude`. Cells may be
+ * quoted, and a quoted cell may hold commas (as the ONS file's do). Terminated
+ * postcodes (a `doterm` date) and rows without coordinates are skipped.
+ * Outward codes resolve to the centroid of their postcodes, unless the file
+ * lists the outward code itself. Full postcodes are also bucketed into a
+ * grid of GRID_DEGREES cells as the file loads, so a reverse lookup only
+ * measures the postcodes in the cells within REVERSE_MAX_METRES of it.
+ */
+
+const fs       = require('fs');
+const readline = require('readline');
+
+const { distanceMetres, boundingBox } = require('./geo');
+const { budgetError }                 = require('./rate-limit');
+const { parseCsvRecords }             = require('./spot-import');
+
+const FULL_POSTCODE    = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/;
+const OUTWARD_POSTCODE = /^[A-Z]{1,2}\d[A-Z\d]?$/;
+
+const REVERSE_MAX_METRES = 500;   // a reverse lookup further than this from any postcode has no answer
+const GRID_DEGREES       = 0.01;  // reverse-lookup grid cell, about 1.1 km north–south
+
+// A search as a postcode: { outward, full } ("E1 6TY" → { outward: 'E1',
+// full: 'E1 6TY' }, "e17" → { outward: 'E17', full: null }), or null when
+// it isn't one. A trailing ", London" or ", UK" is ignored.
+function parsePostcode(query) {
+  const text = String(query || '').trim().toUpperCase()
+    .replace(/(,?\s*(LONDON|UK|UNITED KINGDOM))+$/, '').trim();
+  const full = FULL_POSTCODE.exec(text);
+  if (full) return { outward: full[1], full: full[1] + ' ' + full[2] };
+  return OUTWARD_POSTCODE.test(text) ? { outward: text, full: null } : null;
+}
+
+// ── Local postcode centroids ─────────────────────────────────────────────────
+
+function columnIndex(header, names) {
+  return header.findIndex(h => names.includes(h.trim().toLowerCase()));
+}
+
+// One line of the file as its cells, or null for a line that ends inside
+// a quoted cell
+function csvCells(line) {
+  try {
+    return parseCsvRecords(line)[0];
+  } catch (err) {
+    return null;
+  }
+}
+
+// Options:
+//   file  — CSV of postcode centroids (see the top of this file)
+function createPostcodeGeocoder({ file }) {
+  let loading = null;
+
+  // Reads the file once, on first use. Resolves to { full, outward } maps of
+  // postcode → { postcode, lat, lng }, and the `grid` of full postcodes.
+  function load() {
+    if (!loading) loading = readCentroids(file);
+    return loading;
+  }
+
+  async function geocode(query) {
+    const postcode = parsePostcode(query);
+    if (!postcode) return null;
+    const { full, outward } = await load();
+    const hit = postcode.full ? full.get(postcode.full) : outward.get(postcode.outward);
+    return hit ? { lat: hit.lat, lng: hit.lng } : null;
+  }
+
+  // The nearest full postcode, if one is within REVERSE_MAX_METRES. Only
+  // the grid cells overlapping the box around that circle are searched.
+  async function reverse(lat, lng) {
+    const { grid } = await load();
+    const box = boundingBox(lat, lng, REVERSE_MAX_METRES);
+    let best = null;
+    let bestDistance = REVERSE_MAX_METRES;
+    for (let row = gridCell(box.minLat); row <= gridCell(box.maxLat); row++) {
+      for (let col = gridCell(box.minLng); col <= gridCell(box.maxLng); col++) {
+        for (const entry of grid.get(row + ':' + col) || []) {
+          const d = distanceMetres(lat, lng, entry.lat, entry.lng);
+          if (d < bestDistance) { best = entry; bestDistance = d; }
+        }
+      }
+    }
+    return best ? best.postcode : null;
+  }
+
+  return { name: 'postcodes', geocode, reverse, load };
+}
+
+const gridCell = degrees => Math.floor(degrees / GRID_DEGREES);
+
+async function readCentroids(file) {
+  const full    = new Map();
+  const outward = new Map();
+  const sums    = new Map();
+  const lines   = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  let cols = null;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const cells = csvCells(line);
+    if (!cells) continue;
+    if (!cols) {
+      cols = {
+        postcode: columnIndex(cells, ['pcds', 'postcode', 'pcd', 'pcd2']),
+        lat:      columnIndex(cells, ['lat', 'latitude']),
+        lng:      columnIndex(cells, ['long', 'lng', 'longitude', 'lon']),
+        doterm:   columnIndex(cells, ['doterm']),
+      };
+      if (cols.postcode === -1 || cols.lat === -1 || cols.lng === -1) {
+        throw new Error(file + ': header needs postcode, latitude and longitude columns');
+      }
+      continue;
+    }
+
+    const cell = i => (i === -1 || cells[i] == null ? '' : cells[i].trim());
+    if (cell(cols.doterm)) continue;
+    const lat = Number(cell(cols.lat));
+    const lng = Number(cell(cols.lng));
+    // The ONS directory marks postcodes without a grid reference with 99.999999
+    if (!cell(cols.lat) || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90) continue;
+
+    const postcode = parsePostcode(cell(cols.postcode));
+    if (!postcode) continue;
+    if (!postcode.full) {
+      outward.set(postcode.outward, { postcode: postcode.outward, lat, lng });
+      continue;
+    }
+    full.set(postcode.full, { postcode: postcode.full, lat, lng });
+    const sum = sums.get(postcode.outward) || { lat: 0, lng: 0, n: 0 };
+    sums.set(postcode.outward, { lat: sum.lat + lat, lng: sum.lng + lng, n: sum.n + 1 });
+  }
+
+  for (const [code, sum] of sums) {
+    if (!outward.has(code)) outward.set(code, { postcode: code, lat: sum.lat / sum.n, lng: sum.lng / sum.n });
+  }
+
+  // "row:col" → the full postcodes in that cell
+  const grid = new Map();
+  for (const entry of full.values()) {
+    const key = gridCell(entry.lat) + ':' + gridCell(entry.lng);
+    if (grid.has(key)) grid.get(key).push(entry);
+    else grid.set(key, [entry]);
+  }
+  return { full, outward, grid };
+}
+
+// ── Google ───────────────────────────────────────────────────────────────────
+
+// Options:
+//   key    — Google API key with the Geocoding API enabled
+//   cache   — response cache ({ wrap }) — see lib/response-cache.js
+//   budget  — daily budget ({ take }) — see lib/rate-limit.js; once it is
+//             spent, lookups the cache can't answer throw a 503
+//   fetch   — fetch implementation (default: node-fetch)
+function createGoogleGeocoder({ key, cache, budget, fetch }) {
+  if (!key) throw new Error('createGoogleGeocoder: a Google API key is required');
+  const cached = (endpoint, params, fn) => (cache ? cache.wrap(endpoint, params, fn) : fn());
+
+  // The Geocoding API's first result, or null for ZERO_RESULTS. Any other
+  // non-OK status (quota, denied key) throws so it is never cached as
+  // "no match".
+  async function request(query) {
+    if (budget && !budget.take()) throw budgetError('Google geocoding');
+    const doFetch  = fetch || (await import('node-fetch')).default;
+    const response = await doFetch('https://maps.googleapis.com/maps/api/geocode/json?' + query + '&key=' + key);
+    const data     = await response.json();
+
+    if (data.status === 'OK' && data.results.length) return data.results[0];
+    if (data.status === 'OK' || data.status === 'ZERO_RESULTS') return null;
+    const err = new Error('Geocoding error: ' + data.status + (data.error_message ? ' — ' + data.error_message : ''));
+    err.status = 502;
+    throw err;
+  }
+
+  // ZERO_RESULTS is a real answer and is cached like any other
+  function geocode(address) {
+    return cached('geocode', { address }, async () => {
+      const result = await request('address=' + encodeURIComponent(address));
+      if (!result) return null;
+      const loc = result.geometry.location;
+      return { lat: loc.lat, lng: loc.lng };
+    });
+  }
+
+  // A human-readable label: postcode, then neighbourhood, then locality,
+  // then the full address
+  function reverse(lat, lng) {
+    return cached('geocode-reverse', { lat, lng }, async () => {
+      const result = await request('latlng=' + lat + ',' + lng);
+      if (!result) return null;
+
+      const components    = result.address_components || [];
+      const postal        = components.find(c => c.types.includes('postal_code'));
+      const neighbourhood = components.find(c => c.types.includes('neighborhood') || c.types.includes('sublocality_level_1'));
+      const locality      = components.find(c => c.types.includes('locality'));
+
+      return (postal && postal.short_name)
+        || (neighbourhood && neighbourhood.long_name)
+        || (locality && locality.long_name)
+        || result.formatted_address;
+    });
+  }
+
+  return { name: 'google', geocode, reverse };
+}
+
+// ── Test fake ────────────────────────────────────────────────────────────────
+
+const normaliseQuery = q => String(q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Options:
+//   file     — JSON fixture file: { "<query>": { lat, lng }, … }
+//   entries  — or the entries themselves
+// Queries match case- and whitespace-insensitively. reverse() answers with
+// the nearest entry's query within REVERSE_MAX_METRES.
+function createFakeGeocoder({ file, entries } = {}) {
+  const table = new Map(Object.entries(entries || JSON.parse(fs.readFileSync(file, 'utf8')))
+    .map(([query, coords]) => [normaliseQuery(query), { query, lat: coords.lat, lng: coords.lng }]));
+
+  async function geocode(query) {
+    const hit = table.get(normaliseQuery(query));
+    return hit ? { lat: hit.lat, lng: hit.lng } : null;
+  }
+
+  async function reverse(lat, lng) {
+    let best = null;
+    for (const entry of table.values()) {
+      const d = distanceMetres(lat, lng, entry.lat, entry.lng);
+      if (d <= REVERSE_MAX_METRES && (!best || d < best.d)) best = { query: entry.query, d };
+    }
+    return best ? best.query : null;
+  }
+
+  return { name: 'fake', geocode, reverse };
+}
+
+// ── Chain ────────────────────────────────────────────────────────────────────
+
+// One geocoder trying each of `providers` in turn. `names` lists them, in
+// order. With no providers every lookup throws a 400.
+function chainGeocoders(providers) {
+  async function first(method, args) {
+    if (!providers.length) {
+      const err = new Error('No geocoder configured — set GOOGLE_MAPS_KEY or POSTCODES_FILE in .env');
+      err.status = 400;
+      throw err;
+    }
+    let failure = null;
+    for (const provider of providers) {
+      try {
+        const answer = await provider[method](...args);
+        if (answer != null) return answer;
+      } catch (err) {
+        failure = err;
+      }
+    }
+    if (failure) throw failure;
+    return null;
+  }
+
+  return {
+    names:   providers.map(p => p.name),
+    geocode: query => first('geocode', [query]),
+    reverse: (lat, lng) => first('reverse', [lat, lng]),
+  };
+}
+
+module.exports = {
+  parsePostcode,
+  createPostcodeGeocoder,
+  createGoogleGeocoder,
+  createFakeGeocoder,
+  chainGeocoders,
+};
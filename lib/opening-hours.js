@@ -0,0 +1,112 @@
+/**
+ * Gözleme Finder — Opening Hours
+ *
+ * Spots store their regular weekly opening hours in Google's shape rather
+ * than an "open now" snapshot, which goes stale the moment it is saved:
+ *
+ *   openingHours: {
+ *     periods: [{ open: { day, hour, minute }, close: { day, hour, minute } | null }],
+ *     weekdayDescriptions: ['Monday: 11:00 AM – 11:00 PM', …],
+ *   }
+ *
+ * `day` is 0 (Sunday) to 6 (Saturday) in local time. A period may close on a
+ * later day than it opens (past midnight), and a single period with no close
+ * means open 24/7. isOpenAt() answers "is it open?" for any moment, in
+ * London time unless told otherwise; isOpenOn() asks the same of a day and
+ * time of the week, and isOpenLate() whether a spot is open at some point
+ * late tonight (11 PM to 5 AM).
+ */
+
+const TIME_ZONE = 'Europe/London';
+
+const DAY_MINUTES  = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+const WEEKDAYS     = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const LATE_FROM  = 23 * 60;   // "open late" means open at some point from 11 PM…
+const LATE_UNTIL = 5 * 60;    // …until 5 AM the next morning
+
+// The opening hours to store for a Places API place, or null when Google
+// lists none. Regular hours are preferred; a response that only asked for
+// current hours (this week's, with holidays) falls back to those.
+function hoursFromPlace(place) {
+  const hours = place && (place.regularOpeningHours || place.currentOpeningHours);
+  if (!hours || !Array.isArray(hours.periods) || !hours.periods.length) return null;
+
+  const point = p => ({ day: p.day, hour: p.hour || 0, minute: p.minute || 0 });
+  return {
+    periods:             hours.periods.filter(p => p.open).map(p => ({ open: point(p.open), close: p.close ? point(p.close) : null })),
+    weekdayDescriptions: hours.weekdayDescriptions || [],
+  };
+}
+
+const formatters = new Map();
+
+// Day of the week (0 = Sunday) and minutes past midnight at `date` in `timeZone`
+function localTime(date, timeZone = TIME_ZONE) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }));
+  }
+  const parts = formatters.get(timeZone).formatToParts(date);
+  const part  = type => parts.find(p => p.type === type).value;
+  return { day: WEEKDAYS.indexOf(part('weekday')), minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+}
+
+// Each period as minutes since Sunday midnight, { start, end } with
+// end > start — a period that runs past the end of the week ends after
+// WEEK_MINUTES.
+function weekSpans(hours) {
+  const at = p => p.day * DAY_MINUTES + p.hour * 60 + p.minute;
+  return hours.periods.map(({ open, close }) => {
+    const start = at(open);
+    if (!close) return { start, end: start + WEEK_MINUTES };
+    const end = at(close);
+    return { start, end: end > start ? end : end + WEEK_MINUTES };
+  });
+}
+
+const known = hours => !!hours && Array.isArray(hours.periods) && hours.periods.length > 0;
+
+// Whether any span overlaps [from, until), minutes since Sunday midnight.
+// Spans and windows can both run past the end of the week, so the window is
+// tried a week either side as well.
+function overlaps(spans, from, until) {
+  return spans.some(s => [-WEEK_MINUTES, 0, WEEK_MINUTES].some(shift => from + shift < s.end && until + shift > s.start));
+}
+
+// true / false for whether the spot is open at `minutes` past midnight on
+// `day` (0 = Sunday), or null when its hours aren't known.
+function isOpenOn(hours, day, minutes) {
+  if (!known(hours)) return null;
+  const t = day * DAY_MINUTES + minutes;
+  return overlaps(weekSpans(hours), t, t + 1);
+}
+
+// true / false for whether the spot is open at `date`, or null when its
+// hours aren't known.
+function isOpenAt(hours, date = new Date(), timeZone = TIME_ZONE) {
+  const { day, minutes } = localTime(date, timeZone);
+  return isOpenOn(hours, day, minutes);
+}
+
+// true / false for whether the spot is open at some point late on the night
+// of `date` — from 11 PM to 5 AM — or null when its hours aren't known.
+// In the small hours "tonight" is the night already under way.
+function isOpenLate(hours, date = new Date(), timeZone = TIME_ZONE) {
+  if (!known(hours)) return null;
+  const { day, minutes } = localTime(date, timeZone);
+  const night = minutes < LATE_UNTIL ? (day + 6) % 7 : day;
+  const from  = night * DAY_MINUTES + LATE_FROM;
+  return overlaps(weekSpans(hours), from, from + DAY_MINUTES - LATE_FROM + LATE_UNTIL);
+}
+
+// Google's description of the spot's hours on the day of `date`
+// ("Friday: 11:00 AM – 1:00 AM"), or null.
+function hoursOnDay(hours, date = new Date(), timeZone = TIME_ZONE) {
+  const descriptions = (hours && hours.weekdayDescriptions) || [];
+  if (descriptions.length !== 7) return null;
+  // Google lists Monday first
+  return descriptions[(localTime(date, timeZone).day + 6) % 7];
+}
+
+module.exports = { TIME_ZONE, WEEKDAYS, hoursFromPlace, localTime, isOpenOn, isOpenAt, isOpenLate, hoursOnDay };
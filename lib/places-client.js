@@ -0,0 +1,95 @@
+/**
+ * Gözleme Finder — Google Places Client
+ *
+ * A small client for Places API (New) text search, for the CLI scripts.
+ * Scripts take the client as a dependency instead of calling Google
+ * directly, so they can be pointed at a local fake:
+ *
+ *   createPlacesClient({ key })          — the real API
+ *   createPlacesClient({ key, baseUrl }) — a stand-in server with the same API
+ *   createFakePlacesClient({ file })     — in-process, from a JSON fixture file
+ *
+ * A fixture file is a Places response: { places: [...] } (or a bare array),
+ * using the same field names Google returns — id, displayName.text,
+ * formattedAddress, location, rating, businessStatus and so on.
+ */
+
+const fs = require('fs');
+
+const { budgetError } = require('./rate-limit');
+
+const DEFAULT_BASE_URL = 'https://places.googleapis.com/v1';
+
+// Options:
+//   key      — Google API key
+//   baseUrl  — API root, for pointing at a local stand-in
+//   fetch    — fetch implementation (default: node-fetch)
+//   budget   — daily budget ({ take }) — see lib/upstream-budgets.js; once
+//              it is spent, searches throw a 503 that isn't retried
+function createPlacesClient({ key, baseUrl = DEFAULT_BASE_URL, fetch, budget } = {}) {
+  if (!key) throw new Error('createPlacesClient: a Google API key is required');
+
+  // Text search. `fields` are Place fields without the "places." prefix.
+  // Returns the list of places (empty when nothing matched).
+  async function searchText({ textQuery, fields, locationBias, maxResults = 5 }) {
+    if (budget && !budget.take()) throw budgetError('Google Places search');
+    const doFetch  = fetch || (await import('node-fetch')).default;
+    const response = await doFetch(baseUrl + '/places:searchText', {
+      method: 'POST',
+      headers: {
+        'Content-Type':     'application/json',
+        'X-Goog-Api-Key':   key,
+        'X-Goog-FieldMask': fields.map(f => 'places.' + f).join(','),
+      },
+      body: JSON.stringify({
+        textQuery,
+        maxResultCount: maxResults,
+        ...(locationBias ? { locationBias } : {}),
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error('Google Places error: ' + ((data.error && data.error.message) || response.statusText));
+      err.status = response.status;
+      throw err;
+    }
+    return data.places || [];
+  }
+
+  return { searchText };
+}
+
+// Options:
+//   file    — JSON fixture file to read the places from
+//   places  — or the places themselves
+// A place matches a query when its name shares a word with the query's first
+// comma-separated part (so "Efes Restaurant, Dalston, London" matches "Efes
+// Grill"), roughly as loose as the real search.
+function createFakePlacesClient({ file, places } = {}) {
+  if (!places) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    places = Array.isArray(data) ? data : (data.places || []);
+  }
+
+  const words = text => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/).filter(w => w.length > 2);
+
+  const calls = [];
+
+  async function searchText({ textQuery, maxResults = 5 }) {
+    calls.push(textQuery);
+    const wanted = words(textQuery.split(',')[0]);
+    return places
+      .filter(p => {
+        const name = words(p.displayName && p.displayName.text);
+        return wanted.some(w => name.includes(w));
+      })
+      .slice(0, maxResults);
+  }
+
+  // `calls` lists the queries made, in order
+  return { searchText, calls };
+}
+
+module.exports = { createPlacesClient, createFakePlacesClient };
@@ -0,0 +1,183 @@
+/**
+ * Gözleme Finder — Rate Limiter
+ *
+ * In-memory fixed-window counter keyed by any string (usually a client IP).
+ * Counts reset when the server restarts, which is fine for slowing down
+ * spam and scripted abuse.
+ *
+ * createDailyBudget() caps calls across every client per UTC day, for
+ * upstream APIs that cost money. Given a usage log (createUsageLog) it
+ * counts every process's calls — the server's and the gozleme tools' —
+ * and survives restarts; without one it is kept in memory.
+ *
+ * A usage log is a directory of one file per UTC day (2026-10-19.jsonl)
+ * with a line per call allowed or refused: { "api": "geocode", "used": 1 }.
+ * Lines are only ever appended, which is safe from several processes at
+ * once, and each process reads the lines the others added since it last
+ * looked. Two processes spending the last call at the same moment can both
+ * get it, so a budget may run over by a call or two.
+ *
+ * Both count what they allow and refuse, for the admin metrics route.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+// Options:
+//   limit     — requests allowed per key per window
+//   windowMs  — window length in ms
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();   // key → { start, count }
+  const counts  = { requests: 0, limited: 0 };
+
+  // Drops finished windows so the map doesn't grow without bound
+  function prune(now) {
+    for (const [key, w] of windows) {
+      if (now - w.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  // Counts one request for `key`. Returns { allowed, remaining, retryAfter }
+  // where retryAfter is the number of seconds until the window resets.
+  function hit(key, now = Date.now()) {
+    if (windows.size > 10000) prune(now);
+
+    let w = windows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      w = { start: now, count: 0 };
+      windows.set(key, w);
+    }
+    w.count++;
+    counts.requests++;
+    if (w.count > limit) counts.limited++;
+
+    return {
+      allowed:    w.count <= limit,
+      remaining:  Math.max(limit - w.count, 0),
+      retryAfter: Math.ceil((w.start + windowMs - now) / 1000),
+    };
+  }
+
+  // { limit, windowSeconds, clients, requests, limited } — `clients` have
+  // an open window; the counts are since the server started
+  function stats(now = Date.now()) {
+    prune(now);
+    return { limit, windowSeconds: windowMs / 1000, clients: windows.size, ...counts };
+  }
+
+  return { hit, stats };
+}
+
+const utcDay = now => new Date(now).toISOString().slice(0, 10);
+
+// Options:
+//   dir  — directory for the day files (created on first write)
+function createUsageLog({ dir }) {
+  let day     = null;
+  let offset  = 0;           // bytes of today's file already counted
+  let partial = '';          // a line another process is still writing
+  let totals  = new Map();   // api → { used, refused }
+
+  const dayFile = d => path.join(dir, d + '.jsonl');
+
+  // Brings the totals up to date with every line written today
+  function refresh(now) {
+    if (day !== utcDay(now)) {
+      day = utcDay(now);
+      offset = 0;
+      partial = '';
+      totals = new Map();
+    }
+    let fd;
+    try {
+      fd = fs.openSync(dayFile(day), 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    try {
+      const size = fs.fstatSync(fd).size;
+      if (size <= offset) return;
+      const chunk = Buffer.alloc(size - offset);
+      fs.readSync(fd, chunk, 0, chunk.length, offset);
+      offset = size;
+
+      const lines = (partial + chunk.toString('utf8')).split('\n');
+      partial = lines.pop();
+      for (const line of lines) {
+        let entry;
+        try { entry = JSON.parse(line); } catch (err) { continue; }
+        const t = totals.get(entry.api) || { used: 0, refused: 0 };
+        totals.set(entry.api, { used: t.used + (entry.used || 0), refused: t.refused + (entry.refused || 0) });
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // { day, used, refused } for `api` today, across every process
+  function counts(api, now = Date.now()) {
+    refresh(now);
+    return { day, ...(totals.get(api) || { used: 0, refused: 0 }) };
+  }
+
+  // Records one call to `api` as 'used' or 'refused'
+  function record(api, kind, now = Date.now()) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(dayFile(utcDay(now)), JSON.stringify({ api, [kind]: 1 }) + '\n');
+  }
+
+  return { dir, counts, record };
+}
+
+// The in-memory stand-in for a usage log, for a budget without one
+function createMemoryUsage() {
+  const usage = { day: null, counts: new Map() };
+
+  function today(api, now) {
+    if (usage.day !== utcDay(now)) Object.assign(usage, { day: utcDay(now), counts: new Map() });
+    if (!usage.counts.has(api)) usage.counts.set(api, { used: 0, refused: 0 });
+    return usage.counts.get(api);
+  }
+
+  return {
+    counts(api, now = Date.now()) {
+      const { used, refused } = today(api, now);
+      return { day: usage.day, used, refused };
+    },
+    record: (api, kind, now = Date.now()) => { today(api, now)[kind]++; },
+  };
+}
+
+// Options:
+//   limit  — calls allowed per UTC day
+//   name   — the API's name in the usage log
+//   usage  — a usage log (createUsageLog) shared with other processes;
+//            default: counted in memory
+function createDailyBudget({ limit, name = 'calls', usage = createMemoryUsage() }) {
+  // Spends one call if any are left today. Returns whether it could.
+  function take(now = Date.now()) {
+    const allowed = usage.counts(name, now).used < limit;
+    usage.record(name, allowed ? 'used' : 'refused', now);
+    return allowed;
+  }
+
+  // { day, limit, used, remaining, refused } for today
+  function status(now = Date.now()) {
+    const { day, used, refused } = usage.counts(name, now);
+    return { day, limit, used, remaining: Math.max(limit - used, 0), refused };
+  }
+
+  return { take, status };
+}
+
+// The error for a call a spent budget refused: a 503 that lib/retry.js
+// doesn't retry, since waiting won't help until tomorrow
+function budgetError(label) {
+  const err = new Error('The daily limit for ' + label + ' has been reached — please try again tomorrow');
+  err.status    = 503;
+  err.exhausted = true;
+  return err;
+}
+
+module.exports = { createRateLimiter, createDailyBudget, createUsageLog, budgetError };
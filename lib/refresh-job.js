@@ -0,0 +1,164 @@
+/**
+ * Gözleme Finder — Background Refresh
+ *
+ * Keeps stored spots' Google data current. On a timer the server takes the
+ * spots with a placeId that were refreshed longest ago (discovered and
+ * curated alike), looks each one up with Place Details, and stores its
+ * rating, review count, price level, regular opening hours and business
+ * status. Batches are small, and the server's daily Place Details budget
+ * (shared with admin re-fetches) caps the calls.
+ *
+ * Opening hours are stored instead of an "open now" snapshot; the API works
+ * out whether a spot is open when it is asked (lib/opening-hours.js). Spots
+ * Google reports as permanently closed keep `businessStatus:
+ * 'CLOSED_PERMANENTLY'`, which the public routes and the admin panel act on.
+ */
+
+const { touch }          = require('./spot-store');
+const { hoursFromPlace } = require('./opening-hours');
+
+const HOUR = 3600 * 1000;
+
+const CLOSED_PERMANENTLY = 'CLOSED_PERMANENTLY';
+
+// Place Details fields a refresh reads
+const REFRESH_FIELDS = [
+  'id', 'rating', 'userRatingCount', 'priceLevel', 'regularOpeningHours',
+  'businessStatus', 'googleMapsUri', 'location',
+];
+
+// The stored fields a Place Details response updates on `spot`
+function refreshChanges(place, spot) {
+  return {
+    rating:         place.rating ?? null,
+    reviewCount:    place.userRatingCount ?? null,
+    priceLevel:     place.priceLevel || null,
+    openingHours:   hoursFromPlace(place),
+    businessStatus: place.businessStatus || null,
+    lat:            place.location?.latitude  ?? spot.lat,
+    lng:            place.location?.longitude ?? spot.lng,
+    mapsUrl:        spot.mapsUrl || place.googleMapsUri || null,
+  };
+}
+
+// Options:
+//   store        — spot store ({ read, update })
+//   fetchPlace   — async placeId → Place Details response; errors carry
+//                  `status`. It spends from `budget` itself.
+//   budget       — the daily Place Details budget ({ status }) — see
+//                  lib/rate-limit.js; a run takes no more than is left
+//   batchSize    — spots refreshed per run
+//   maxAgeMs     — spots refreshed more recently than this are skipped
+//   intervalMs   — time between runs once started
+function createRefreshJob({ store, fetchPlace, budget, batchSize = 20, maxAgeMs = 7 * 24 * HOUR, intervalMs = HOUR, log = console.log }) {
+  let timer   = null;
+  let running = false;
+  let last    = null;
+
+  function remaining(now) {
+    return budget.status(now).remaining;
+  }
+
+  // Spots with a placeId not refreshed within maxAgeMs, stalest first
+  function due(data, now) {
+    const cutoff = now - maxAgeMs;
+    return [
+      ...data.spots.map(spot => ({ collection: 'spots', spot })),
+      ...data.curated.map(spot => ({ collection: 'curated', spot })),
+    ]
+      .filter(({ spot }) => spot.placeId && new Date(spot.refreshedAt || 0).getTime() < cutoff)
+      .sort((a, b) => (a.spot.refreshedAt || '').localeCompare(b.spot.refreshedAt || ''));
+  }
+
+  // Applies fetched results under the store lock. A spot an admin deleted
+  // meanwhile is skipped.
+  function apply(data, results, at) {
+    const summary = { refreshed: 0, closed: 0, failed: 0 };
+    for (const { collection, id, place, error } of results) {
+      const spot = data[collection].find(s => s.id === id);
+      if (!spot) continue;
+      spot.refreshedAt = at;
+
+      if (error) {
+        spot.refreshError = error;
+        summary.failed++;
+        continue;
+      }
+      delete spot.refreshError;
+
+      let changed = false;
+      for (const [field, value] of Object.entries(refreshChanges(place, spot))) {
+        if (JSON.stringify(spot[field] ?? null) === JSON.stringify(value ?? null)) continue;
+        spot[field] = value;
+        changed = true;
+      }
+      if (changed) touch(spot, at);
+      summary.refreshed++;
+      if (spot.businessStatus === CLOSED_PERMANENTLY) summary.closed++;
+    }
+    return summary;
+  }
+
+  // Refreshes one batch. Returns { at, refreshed, closed, failed, error }, or
+  // null when a run is already in progress.
+  async function runOnce(now = Date.now()) {
+    if (running) return null;
+    running = true;
+    try {
+      const batch   = due(await store.read(), now).slice(0, Math.min(batchSize, remaining(now)));
+      const results = [];
+      let error     = null;
+
+      for (const { collection, spot } of batch) {
+        try {
+          results.push({ collection, id: spot.id, place: await fetchPlace(spot.placeId) });
+        } catch (err) {
+          // A placeId Google no longer knows is recorded so it isn't asked for
+          // again every run; anything else (quota, outage) ends the batch
+          if (err.status !== 404) { error = err.message; break; }
+          results.push({ collection, id: spot.id, error: err.message });
+        }
+      }
+
+      const at      = new Date(now).toISOString();
+      const summary = results.length ? await store.update(data => apply(data, results, at)) : { refreshed: 0, closed: 0, failed: 0 };
+      last = { at, ...summary, error };
+      if (batch.length) {
+        log('Refresh: ' + summary.refreshed + ' spots updated, ' + summary.closed + ' permanently closed, ' + summary.failed + ' failed'
+          + (error ? ' — stopped: ' + error : '') + ' (' + remaining(now) + ' calls left today)');
+      }
+      return last;
+    } finally {
+      running = false;
+    }
+  }
+
+  function runLogged() {
+    runOnce().catch(err => log('Refresh error: ' + err.message));
+  }
+
+  // Runs a first batch after `delayMs`, then one every intervalMs. Timers
+  // don't keep the process alive.
+  function start({ delayMs = 30 * 1000 } = {}) {
+    if (timer || intervalMs <= 0) return;
+    timer = setTimeout(function tick() {
+      runLogged();
+      timer = setTimeout(tick, intervalMs);
+      timer.unref();
+    }, delayMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function status(now = Date.now()) {
+    return { scheduled: !!timer, batchSize, remainingToday: remaining(now), last };
+  }
+
+  return { start, stop, runOnce, status };
+}
+
+module.exports = { createRefreshJob, refreshChanges, REFRESH_FIELDS, CLOSED_PERMANENTLY };
@@ -0,0 +1,165 @@
+/**
+ * Gözleme Finder — Community Reports
+ *
+ * Visitors report whether a spot really serves gözleme. Reports are kept in
+ * data/reports.jsonl, one JSON object per line:
+ *
+ *   { id, spotId, kind: 'serves' | 'not-served' | 'closed', voter, at }
+ *
+ * `voter` is an HMAC of the reporter's IP, so the file holds one report per
+ * voter per spot without storing the IP itself. A first report is appended;
+ * a repeat replaces the voter's earlier one and the file is rewritten (to a
+ * temp file, then renamed into place). Files from before this kept every
+ * report; the latest per voter wins and the next rewrite drops the rest. Spot IDs
+ * are the store IDs — for Places results that is the Google placeId, so a
+ * report made on a live search result also counts for the cached spot.
+ *
+ * Reports are aggregated into a confidence score: the share of (time-decayed)
+ * votes saying the spot serves gözleme, blended with a prior so a single
+ * report can't swing a spot all the way to 0 or 1.
+ */
+
+const fs     = require('fs');
+const fsp    = fs.promises;
+const path   = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'reports.jsonl');
+
+const REPORT_KINDS  = ['serves', 'not-served', 'closed'];
+const PRIOR_WEIGHT  = 2;     // how many votes the prior is worth
+const DEFAULT_PRIOR = 0.5;   // confidence of a spot nobody has reported on
+
+// Options:
+//   file          — JSONL file backing the reports
+//   secret        — key for hashing reporter IPs
+//   halfLifeDays  — a report's weight halves every this many days
+function createReportStore({ file = DEFAULT_FILE, secret, halfLifeDays = 180 } = {}) {
+  if (!secret) throw new Error('createReportStore: a secret is required');
+
+  let bySpot  = null;   // spotId → Map(voter → latest report); loaded on first use
+  let loading = null;
+  let writing = Promise.resolve();   // serialises writes within this process
+
+  function index(report) {
+    if (!bySpot.has(report.spotId)) bySpot.set(report.spotId, new Map());
+    bySpot.get(report.spotId).set(report.voter, report);
+  }
+
+  async function load() {
+    if (bySpot) return;
+    if (!loading) {
+      loading = (async () => {
+        let raw = '';
+        try {
+          raw = await fsp.readFile(file, 'utf8');
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+        bySpot = new Map();
+        for (const line of raw.split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            index(JSON.parse(line));
+          } catch (err) {
+            console.warn('Reports: skipping unreadable line in ' + path.basename(file));
+          }
+        }
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    await loading;
+  }
+
+  function voterId(ip) {
+    return crypto.createHmac('sha256', secret).update(String(ip || 'unknown')).digest('hex').slice(0, 16);
+  }
+
+  // Every report kept, one line each
+  async function rewrite() {
+    const lines = [];
+    for (const votes of bySpot.values()) {
+      for (const report of votes.values()) lines.push(JSON.stringify(report));
+    }
+    const tmp = file + '.tmp';
+    await fsp.writeFile(tmp, lines.map(l => l + '\n').join(''), 'utf8');
+    await fsp.rename(tmp, file);
+  }
+
+  // Stores a report — replacing the voter's earlier one on this spot — and
+  // returns the spot's updated summary.
+  function record({ spotId, kind, ip }) {
+    const run = writing.then(async () => {
+      if (!REPORT_KINDS.includes(kind)) throw new Error('Unknown report kind: ' + kind);
+      await load();
+
+      const voter  = voterId(ip);
+      const repeat = bySpot.has(spotId) && bySpot.get(spotId).has(voter);
+      const report = {
+        id:    'r_' + crypto.randomBytes(6).toString('hex'),
+        spotId,
+        kind,
+        voter,
+        at:    new Date().toISOString(),
+      };
+      const previous = repeat ? bySpot.get(spotId).get(voter) : null;
+      index(report);
+      try {
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        if (repeat) await rewrite();
+        else await fsp.appendFile(file, JSON.stringify(report) + '\n', 'utf8');
+      } catch (err) {
+        // Not saved, so not counted either
+        if (previous) index(previous);
+        else bySpot.get(spotId).delete(voter);
+        throw err;
+      }
+      return summarise(spotId);
+    });
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  // Counts of each report kind (one per voter, latest wins), the time of the
+  // latest report and the confidence score. `prior` is the confidence to
+  // assume before any reports.
+  function summarise(spotId, prior = DEFAULT_PRIOR, now = Date.now()) {
+    const votes   = bySpot && bySpot.get(spotId);
+    const summary = { serves: 0, notServed: 0, closed: 0, lastReportAt: null, confidence: prior };
+    if (!votes) return summary;
+
+    let yes = 0;
+    let no  = 0;
+    for (const report of votes.values()) {
+      const weight = Math.pow(0.5, (now - Date.parse(report.at)) / (halfLifeDays * 86400000));
+      if (report.kind === 'serves') { summary.serves++; yes += weight; }
+      else {
+        if (report.kind === 'closed') summary.closed++;
+        else summary.notServed++;
+        no += weight;
+      }
+      if (!summary.lastReportAt || report.at > summary.lastReportAt) summary.lastReportAt = report.at;
+    }
+
+    summary.confidence = Number(((yes + PRIOR_WEIGHT * prior) / (yes + no + PRIOR_WEIGHT)).toFixed(3));
+    return summary;
+  }
+
+  // Loads the reports and returns a summarise function bound to them, for
+  // annotating many spots in one go.
+  async function summariser() {
+    await load();
+    return summarise;
+  }
+
+  // Raw reports for one spot, newest first (voters only, no IPs).
+  async function list(spotId) {
+    await load();
+    const votes = bySpot.get(spotId);
+    return votes ? [...votes.values()].sort((a, b) => b.at.localeCompare(a.at)) : [];
+  }
+
+  return { file, record, summariser, list };
+}
+
+module.exports = { createReportStore, REPORT_KINDS };
@@ -0,0 +1,164 @@
+/**
+ * Gözleme Finder — Response Cache
+ *
+ * Disk-backed TTL cache for upstream API responses (Google Places and
+ * Geocoding). Entries are keyed on the endpoint name plus a normalised copy
+ * of the request parameters, so the same postcode searched twice — or with
+ * its keys in a different order — only costs one upstream call.
+ *
+ * Expired entries are kept for a grace period and served if the upstream
+ * call fails, so the app keeps working briefly when Google is down.
+ *
+ * The whole cache lives in one JSON file, written with write-and-rename so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+// Coordinates are rounded to 4 dp (~11 m) so tiny GPS jitter still hits.
+const COORD_PRECISION = 4;
+
+// Produces a stable, case-insensitive representation of request params:
+// object keys sorted, strings trimmed and lower-cased, numbers rounded and
+// empty values dropped.
+function normaliseParams(value) {
+  if (Array.isArray(value)) return value.map(normaliseParams);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      const v = value[key];
+      if (v == null || v === '') continue;
+      out[key] = normaliseParams(v);
+    }
+    return out;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim().toLowerCase().replace(/\s+/g, ' ');
+    // Numeric strings ("51.52") key the same as numbers
+    return trimmed !== '' && !isNaN(trimmed) ? normaliseParams(Number(trimmed)) : trimmed;
+  }
+  if (typeof value === 'number') return Number(value.toFixed(COORD_PRECISION));
+  return value;
+}
+
+// Options:
+//   file        — path of the JSON file backing the cache
+//   ttls        — { [endpoint]: seconds }; 0 or missing disables caching for that endpoint
+//   staleGrace  — seconds an expired entry may still be served when upstream fails
+//   flushDelay  — ms to batch writes before flushing to disk
+function createResponseCache({ file, ttls = {}, staleGrace = 0, flushDelay = 2000 }) {
+  let entries = {};
+  const pending = new Map();   // key → in-flight promise, so concurrent misses share one call
+  const counters = {};
+  let flushTimer = null;
+
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Response cache: ignoring unreadable ' + path.basename(file) + ' (' + err.message + ')');
+  }
+
+  function counter(endpoint) {
+    if (!counters[endpoint]) counters[endpoint] = { hits: 0, misses: 0, stale: 0 };
+    return counters[endpoint];
+  }
+
+  function prune(now) {
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt + staleGrace * 1000 < now) delete entries[key];
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    prune(Date.now());
+    const tmp = file + '.tmp';
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), entries }), 'utf8');
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error('Response cache: failed to save ' + path.basename(file) + ':', err.message);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelay);
+    flushTimer.unref();
+  }
+
+  // Returns the cached value for (endpoint, params) if fresh, otherwise calls
+  // fetcher() and stores its result. If fetcher() throws and an expired entry
+  // is still within the grace period, that entry is returned instead.
+  async function wrap(endpoint, params, fetcher) {
+    const ttl = ttls[endpoint] || 0;
+    if (ttl <= 0) return fetcher();
+
+    const key   = endpoint + ':' + JSON.stringify(normaliseParams(params));
+    const now   = Date.now();
+    const entry = entries[key];
+    const stats = counter(endpoint);
+
+    if (entry && entry.expiresAt > now) {
+      stats.hits++;
+      return entry.value;
+    }
+
+    if (pending.has(key)) {
+      stats.hits++;
+      return pending.get(key);
+    }
+
+    stats.misses++;
+    const call = (async () => {
+      try {
+        const value = await fetcher();
+        entries[key] = { value, storedAt: now, expiresAt: now + ttl * 1000 };
+        scheduleFlush();
+        return value;
+      } catch (err) {
+        if (entry && entry.expiresAt + staleGrace * 1000 > now) {
+          stats.stale++;
+          console.warn('Response cache: serving stale ' + endpoint + ' entry — ' + err.message);
+          return entry.value;
+        }
+        throw err;
+      } finally {
+        pending.delete(key);
+      }
+    })();
+
+    pending.set(key, call);
+    return call;
+  }
+
+  // Hit/miss counters since startup plus current entry counts, per endpoint.
+  function stats() {
+    const sizes = {};
+    for (const key of Object.keys(entries)) {
+      const endpoint = key.slice(0, key.indexOf(':'));
+      sizes[endpoint] = (sizes[endpoint] || 0) + 1;
+    }
+
+    const endpoints = {};
+    for (const endpoint of new Set([...Object.keys(ttls), ...Object.keys(counters)])) {
+      const c = counter(endpoint);
+      const lookups = c.hits + c.misses;
+      endpoints[endpoint] = {
+        ttlSeconds: ttls[endpoint] || 0,
+        entries:    sizes[endpoint] || 0,
+        hits:       c.hits,
+        misses:     c.misses,
+        staleServed: c.stale,
+        hitRate:    lookups ? Number((c.hits / lookups).toFixed(3)) : null,
+      };
+    }
+    return { file: path.basename(file), staleGraceSeconds: staleGrace, endpoints };
+  }
+
+  return { wrap, flush, stats };
+}
+
+module.exports = { createResponseCache, normaliseParams };
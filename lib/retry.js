@@ -0,0 +1,34 @@
+/**
+ * Gözleme Finder — Retry with Backoff
+ *
+ * Retries a failing upstream call with exponential backoff and jitter, for
+ * the builder scripts. Errors carrying an HTTP `status` are only retried when
+ * they are worth retrying (429 and 5xx); a bad key or request fails at once,
+and so does a call refused by a spent daily budget (`exhausted`).
+ */
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function isRetryable(err) {
+  if (err.exhausted) return false;
+  return !err.status || err.status === 429 || err.status >= 500;
+}
+
+// Calls fn() until it resolves. Between attempts waits baseMs, 2×baseMs,
+// 4×baseMs … (capped at maxMs, ±25% jitter). Rejects with the last error
+// once `attempts` calls have failed. onRetry(err, attempt, waitMs) is called
+// before each wait, for progress output.
+async function withRetry(fn, { attempts = 6, baseMs = 1000, maxMs = 60000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= attempts || !isRetryable(err)) throw err;
+      const wait = Math.round(Math.min(maxMs, baseMs * Math.pow(2, attempt - 1)) * (0.75 + Math.random() * 0.5));
+      if (onRetry) onRetry(err, attempt, wait);
+      await sleep(wait);
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable };
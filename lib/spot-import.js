@@ -0,0 +1,234 @@
+/**
+ * Gözleme Finder — Spot Import
+ *
+ * Reads lists of spots kept elsewhere — market and festival stall lists in
+ * a spreadsheet, or points drawn in a mapping tool — for the admin import
+ * (POST /api/admin/import). Two formats are read:
+ *
+ *   csv      — a header row, then one spot per row; quoted cells may hold
+ *              commas, quotes ("") and line breaks
+ *   geojson  — a FeatureCollection of Point features; properties are the
+ *              columns, and the point gives lat/lng
+ *
+ * Columns are matched to spot fields by name (guessColumns), ignoring case,
+ * spaces and punctuation: "Stall name", "Postcode" and "Latitude" all work.
+ * An admin can override the guess with an explicit { column: field }
+ * mapping. Cells are converted to the field's type — numbers for lat/lng,
+ * a list for tags (split on ";" or ",") — but not validated; the server
+ * checks them with the same rules as a hand-made edit.
+ */
+
+const IMPORT_FORMATS = ['csv', 'geojson'];
+
+// Spot fields an import can set, and the column names that mean each
+const FIELD_ALIASES = {
+  name:        ['name', 'spot', 'stall', 'stallname', 'title', 'business', 'restaurant', 'vendor', 'trader'],
+  address:     ['address', 'fulladdress', 'street', 'streetaddress', 'location', 'postcode', 'venue'],
+  area:        ['area', 'neighbourhood', 'neighborhood', 'district', 'market', 'borough'],
+  description: ['description', 'details', 'about'],
+  notes:       ['notes', 'note', 'comments', 'adminnotes'],
+  mapsUrl:     ['mapsurl', 'maps', 'googlemaps', 'mapslink', 'mapurl', 'link', 'url'],
+  tags:        ['tags', 'tag', 'categories'],
+  lat:         ['lat', 'latitude', 'y'],
+  lng:         ['lng', 'lon', 'long', 'longitude', 'x'],
+  region:      ['region', 'city'],
+};
+
+const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+
+function importError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// The format of an uploaded file, from its name or else its first character
+function detectFormat(filename, text) {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  return /^\s*[{[]/.test(text) ? 'geojson' : 'csv';
+}
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+// Every record in `text` as an array of cells. Handles quoted cells, CRLF
+// line ends and a leading byte-order mark. Blank lines are kept, as [''],
+// so records can be numbered as a spreadsheet shows them.
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let cell   = '';
+  let quoted = false;
+  const src  = String(text).replace(/^\uFEFF/, '');
+
+  const endCell   = () => { record.push(cell); cell = ''; };
+  const endRecord = () => {
+    endCell();
+    records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell.trim() === '') {
+      cell   = '';
+      quoted = true;
+    } else if (c === ',') {
+      endCell();
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw importError('CSV ends inside a quoted cell');
+  if (cell !== '' || record.length) endRecord();
+  return records;
+}
+
+// { columns, rows } — rows are { row, cells: { column: text } }, numbered
+// as a spreadsheet would. The header is the first line that isn't blank.
+function parseCsv(text) {
+  const records = parseCsvRecords(text);
+  const start   = records.findIndex(r => r.some(c => c.trim()));
+  if (start === -1) throw importError('The CSV file is empty');
+  const header  = records[start];
+  const columns = header.map((h, i) => h.trim() || 'column ' + (i + 1));
+  const seen = new Set();
+  for (const column of columns) {
+    if (seen.has(column)) throw importError('The CSV header has two columns named "' + column + '"');
+    seen.add(column);
+  }
+
+  return {
+    columns,
+    rows: records.slice(start + 1)
+      .map((cells, i) => ({
+        row:   start + i + 2,
+        cells: Object.fromEntries(columns.map((column, c) => [column, (cells[c] ?? '').trim()])),
+      }))
+      .filter(r => Object.values(r.cells).some(Boolean)),
+  };
+}
+
+// ── GeoJSON ──────────────────────────────────────────────────────────────────
+
+// { columns, rows } like parseCsv — rows are numbered by feature, from 1.
+// The point's coordinates fill "lat" and "lng" unless the properties have
+// their own.
+function parseGeoJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw importError('Not valid JSON: ' + err.message);
+  }
+  const features = doc && doc.type === 'FeatureCollection' ? doc.features
+    : doc && doc.type === 'Feature' ? [doc]
+    : null;
+  if (!Array.isArray(features)) throw importError('GeoJSON must be a FeatureCollection or a Feature');
+
+  const columns = new Set();
+  const rows = features.map((feature, i) => {
+    const cells = {};
+    for (const [key, value] of Object.entries((feature && feature.properties) || {})) {
+      cells[key] = value == null ? '' : Array.isArray(value) ? value.join(';') : typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+      columns.add(key);
+    }
+    const geometry = feature && feature.geometry;
+    if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const [lng, lat] = geometry.coordinates;
+      if (cells.lat == null && cells.lng == null) {
+        cells.lat = String(lat);
+        cells.lng = String(lng);
+        columns.add('lat').add('lng');
+      }
+    }
+    return { row: i + 1, cells };
+  });
+
+  return { columns: [...columns], rows };
+}
+
+// ── Columns → spot fields ────────────────────────────────────────────────────
+
+const squash = name => String(name).toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+
+// { column: field } for the columns whose names mean a spot field. Each
+// field is taken by the first column that means it.
+function guessColumns(columns) {
+  const mapping = {};
+  const taken   = new Set();
+  for (const column of columns) {
+    const key   = squash(column);
+    const field = IMPORT_FIELDS.find(f => !taken.has(f) && FIELD_ALIASES[f].includes(key));
+    if (field) {
+      mapping[column] = field;
+      taken.add(field);
+    }
+  }
+  return mapping;
+}
+
+// Checks an admin's { column: field } mapping against the file's columns.
+// A field of "" or null leaves the column out.
+function checkMapping(mapping, columns) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw importError('mapping must be an object of column → field');
+  const used = new Set();
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!columns.includes(column)) throw importError('mapping names a column the file doesn\'t have: ' + column);
+    if (field === '' || field == null) continue;
+    if (!IMPORT_FIELDS.includes(field)) throw importError('mapping for "' + column + '" must be one of ' + IMPORT_FIELDS.join(', '));
+    if (used.has(field)) throw importError('Two columns are mapped to ' + field);
+    used.add(field);
+  }
+  return mapping;
+}
+
+// The spot fields a row's cells give under `mapping`. Empty cells are left
+// out; lat/lng become numbers (NaN when unreadable, for the validator to
+// reject) and tags a list.
+function rowFields(cells, mapping) {
+  const fields = {};
+  for (const [column, field] of Object.entries(mapping)) {
+    const text = cells[column];
+    if (!field || text == null || text === '') continue;
+    if (field === 'lat' || field === 'lng') fields[field] = Number(text);
+    else if (field === 'tags') fields[field] = text.split(/[;,]/).map(t => t.trim()).filter(Boolean);
+    else if (field === 'region') fields[field] = text.toLowerCase();
+    else fields[field] = text;
+  }
+  return fields;
+}
+
+// Reads an uploaded file. Returns { format, columns, mapping, rows } with
+// each row's `fields`; `mapping` is the admin's if given, else the guess.
+function readImport({ content, format, filename, mapping }) {
+  if (typeof content !== 'string' || !content.trim()) throw importError('content is required — the text of a CSV or GeoJSON file');
+  format = format || detectFormat(filename, content);
+  if (!IMPORT_FORMATS.includes(format)) throw importError('format must be one of ' + IMPORT_FORMATS.join(', '));
+
+  const { columns, rows } = format === 'csv' ? parseCsv(content) : parseGeoJson(content);
+  const used = mapping ? checkMapping(mapping, columns) : guessColumns(columns);
+  return {
+    format,
+    columns,
+    mapping: used,
+    rows:    rows.map(r => ({ ...r, fields: rowFields(r.cells, used) })),
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  detectFormat,
+  parseCsvRecords,
+  guessColumns,
+  readImport,
+};
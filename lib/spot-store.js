@@ -0,0 +1,238 @@
+/**
+ * Gözleme Finder — Spot Store
+ *
+ * Single data-access module for every stored spot. The server routes and
+ * both builder scripts go through here instead of reading and rewriting
+ * cache.json / curated.json themselves.
+ *
+ * Storage is one JSON file (data/spots.json):
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     builtAt:       ISO timestamp of the last builder run,
+ *     spots:         [...]   // discovered spots (AI cache + Places builder)
+ *     curated:       [...]   // hand-maintained list, in display order
+ *     suggestions:   [...]   // spots submitted by visitors, awaiting or after moderation
+ *   }
+ *
+ * Every spot carries a stable `id` plus `createdAt` / `updatedAt` and a
+ * `version` that is bumped on every change, so editors can detect that
+ * someone else changed a spot since they loaded it.
+ *
+ * Writes are read-modify-write under a lock file, then written to a temp
+ * file and renamed into place, so a running builder and an admin edit can't
+ * clobber each other and readers never see a half-written file.
+ *
+ * If the store file doesn't exist yet it is created by importing the legacy
+ * cache.json and curated.json from the project root.
+ *
+ * SPOT_STORE_FILE moves the store elsewhere; the server and the gozleme
+ * tools both read it through storeOptionsFromEnv(), so they share one store.
+ */
+
+const fs     = require('fs');
+const fsp    = fs.promises;
+const path   = require('path');
+const crypto = require('crypto');
+
+const SCHEMA_VERSION = 1;
+const ROOT           = path.join(__dirname, '..');
+const DEFAULT_FILE   = path.join(ROOT, 'data', 'spots.json');
+
+const LOCK_TIMEOUT_MS = 15000;   // give up waiting for the lock after this
+const LOCK_STALE_MS   = 30000;   // a lock older than this is from a crashed process
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Generated IDs for spots without a Google placeId.
+function generateId(prefix) {
+  return prefix + '_' + crypto.randomBytes(6).toString('hex');
+}
+
+// Discovered spots use their Google placeId as ID where they have one;
+// curated spots always get their own ID so the two lists never collide.
+function assignId(spot, collection = 'spots') {
+  if (spot.id) return spot.id;
+  spot.id = collection === 'curated'
+    ? generateId('cur')
+    : (spot.placeId || generateId('spot'));
+  return spot.id;
+}
+
+// Gives a new spot an ID, timestamps and version. `createdAt` falls back to
+// the builder's `cachedAt` so imported spots keep their original age.
+function stampNew(spot, collection, now = new Date().toISOString()) {
+  assignId(spot, collection);
+  spot.createdAt = spot.createdAt || spot.cachedAt || now;
+  spot.updatedAt = spot.updatedAt || spot.createdAt;
+  spot.version   = spot.version   || 1;
+  return spot;
+}
+
+// Marks an existing spot as changed: new `updatedAt`, next `version`.
+function touch(spot, now = new Date().toISOString()) {
+  spot.updatedAt = now;
+  spot.version   = (spot.version || 1) + 1;
+  return spot;
+}
+
+function emptyData() {
+  return { schemaVersion: SCHEMA_VERSION, builtAt: null, spots: [], curated: [], suggestions: [] };
+}
+
+// ── Legacy migration ─────────────────────────────────────────────────────────
+
+// Imports cache.json ({ builtAt, spots }) and curated.json ([...]) from `dir`.
+// Missing files are treated as empty.
+function importLegacy(dir = ROOT) {
+  const data = emptyData();
+  const readJson = (name) => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error('Failed to import ' + name + ': ' + err.message);
+    }
+  };
+
+  const cache   = readJson('cache.json');
+  const curated = readJson('curated.json');
+  const now     = new Date().toISOString();
+  const seenIds = new Set();
+
+  data.builtAt = (cache && cache.builtAt) || null;
+
+  for (const spot of (cache && cache.spots) || []) {
+    const copy = { ...spot };
+    // Duplicate placeIds in old caches would otherwise share an ID
+    if (copy.placeId && seenIds.has(copy.placeId)) copy.id = generateId('spot');
+    stampNew(copy, 'spots', cache.builtAt || now);
+    seenIds.add(copy.id);
+    data.spots.push({ id: copy.id, ...copy });
+  }
+
+  for (const spot of Array.isArray(curated) ? curated : []) {
+    const copy = stampNew({ ...spot }, 'curated', now);
+    data.curated.push({ id: copy.id, ...copy });
+  }
+
+  return data;
+}
+
+// ── Store ────────────────────────────────────────────────────────────────────
+
+// createSpotStore() options from the environment — { file } when
+// SPOT_STORE_FILE is set, else the defaults
+function storeOptionsFromEnv(env = process.env) {
+  return env.SPOT_STORE_FILE ? { file: path.resolve(env.SPOT_STORE_FILE) } : {};
+}
+
+function createSpotStore({ file = DEFAULT_FILE, legacyDir = ROOT } = {}) {
+  const lockFile = file + '.lock';
+  let queue = Promise.resolve();   // serialises updates within this process
+
+  async function readFile() {
+    try {
+      return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return null;
+    }
+  }
+
+  async function writeFile(data) {
+    const tmp = file + '.' + process.pid + '.tmp';
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    await fsp.rename(tmp, file);
+  }
+
+  async function acquireLock() {
+    const start = Date.now();
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    for (;;) {
+      try {
+        await fsp.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      // Break locks left behind by a crashed process
+      try {
+        const stat = await fsp.stat(lockFile);
+        if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          console.warn('Spot store: removing stale lock ' + path.basename(lockFile));
+          await fsp.unlink(lockFile).catch(() => {});
+          continue;
+        }
+      } catch (err) { continue; /* lock released between attempts */ }
+
+      if (Date.now() - start > LOCK_TIMEOUT_MS) {
+        throw new Error('Timed out waiting for spot store lock (' + lockFile + ')');
+      }
+      await sleep(50 + Math.random() * 100);
+    }
+  }
+
+  async function releaseLock() {
+    await fsp.unlink(lockFile).catch(() => {});
+  }
+
+  // Creates the store from the legacy files if it doesn't exist yet.
+  // Runs under the lock so two processes starting together only migrate once.
+  async function ensure() {
+    if (await readFile()) return;
+    await acquireLock();
+    try {
+      if (await readFile()) return;
+      const data = importLegacy(legacyDir);
+      await writeFile(data);
+      console.log('Spot store: created ' + path.relative(ROOT, file)
+        + ' — imported ' + data.spots.length + ' spots and ' + data.curated.length + ' curated spots');
+    } finally {
+      await releaseLock();
+    }
+  }
+
+  // Returns the whole store. Safe to call without the lock — the file is
+  // only ever replaced by rename, so a read never sees a partial write.
+  async function read() {
+    await ensure();
+    const data = await readFile();
+    return { ...emptyData(), ...data };
+  }
+
+  // Runs fn(data) against a fresh copy of the store under the lock and
+  // writes the result back. fn mutates `data` in place and may return a
+  // value, which update() resolves with. Throwing from fn aborts the write.
+  function update(fn) {
+    const run = queue.then(async () => {
+      await ensure();
+      await acquireLock();
+      try {
+        const data = { ...emptyData(), ...(await readFile()) };
+        const result = await fn(data);
+        data.schemaVersion = SCHEMA_VERSION;
+        await writeFile(data);
+        return result;
+      } finally {
+        await releaseLock();
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { file, read, update };
+}
+
+module.exports = {
+  createSpotStore,
+  storeOptionsFromEnv,
+  importLegacy,
+  assignId,
+  stampNew,
+  touch,
+  generateId,
+};
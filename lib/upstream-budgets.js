@@ -0,0 +1,66 @@
+/**
+ * Gözleme Finder — Upstream Budgets
+ *
+ * Google and Anthropic bill per call, so each upstream API gets a budget of
+ * calls per UTC day — see createDailyBudget() in lib/rate-limit.js. The
+ * server and the gozleme tools (build-ai, build-postcodes, verify) spend
+ * from the same budgets: usage is written under data/usage/ (one file per
+ * day), so it survives restarts and GET /api/admin/metrics reports every
+ * call, whoever made it.
+ *
+ * Limits come from the environment:
+ *
+ *   PLACES_TEXT_DAILY_BUDGET    Google Places text search       (1000)
+ *   PLACES_NEARBY_DAILY_BUDGET  Google Places review search     (500)
+ *   PLACE_DETAILS_DAILY_BUDGET  Google Place Details            (200)
+ *   GEOCODE_DAILY_BUDGET        Google geocoding                (2000)
+ *   AI_DAILY_BUDGET             Anthropic                       (50)
+ *   BUDGET_USAGE_DIR            where usage is kept             (data/usage)
+ *
+ * A budget of 0 stops calls to that API.
+ */
+
+const path = require('path');
+
+const { createDailyBudget, createUsageLog, budgetError } = require('./rate-limit');
+
+const DEFAULT_USAGE_DIR = path.join(__dirname, '..', 'data', 'usage');
+
+const UPSTREAM_APIS = {
+  'places-text':   { env: 'PLACES_TEXT_DAILY_BUDGET',   limit: 1000, label: 'Google Places search' },
+  'places-nearby': { env: 'PLACES_NEARBY_DAILY_BUDGET', limit: 500,  label: 'Google Places review search' },
+  'place-details': { env: 'PLACE_DETAILS_DAILY_BUDGET', limit: 200,  label: 'Google Place Details' },
+  'geocode':       { env: 'GEOCODE_DAILY_BUDGET',       limit: 2000, label: 'Google geocoding' },
+  'anthropic':     { env: 'AI_DAILY_BUDGET',            limit: 50,   label: 'AI suggestions' },
+};
+
+// Options:
+//   env  — where to read the limits (default: process.env)
+//   dir  — usage directory (default: BUDGET_USAGE_DIR, or data/usage)
+// Returns { budgets, label(name), spend(name), status() }.
+function createUpstreamBudgets({ env = process.env, dir } = {}) {
+  const usage = createUsageLog({ dir: dir || env.BUDGET_USAGE_DIR || DEFAULT_USAGE_DIR });
+
+  const budgets = {};
+  for (const [name, api] of Object.entries(UPSTREAM_APIS)) {
+    const limit = parseInt(env[api.env], 10);
+    budgets[name] = createDailyBudget({ limit: Number.isNaN(limit) ? api.limit : limit, name, usage });
+  }
+
+  const label = name => UPSTREAM_APIS[name].label;
+
+  // Spends one call from an API's budget, or throws a 503 (not retried)
+  // once today's is gone
+  function spend(name) {
+    if (!budgets[name].take()) throw budgetError(label(name));
+  }
+
+  // { <name>: { label, day, limit, used, remaining, refused } }, for metrics
+  function status() {
+    return Object.fromEntries(Object.entries(budgets).map(([name, budget]) => [name, { label: label(name), ...budget.status() }]));
+  }
+
+  return { budgets, label, spend, status };
+}
+
+module.exports = { UPSTREAM_APIS, createUpstreamBudgets };
@@ -0,0 +1,305 @@
+/**
+ * Gözleme Finder — Request Validation and API Description
+ *
+ * Every API route declares the shape of its path parameters, query string
+ * and JSON body as schemas — the subset of JSON Schema that OpenAPI 3.0
+ * uses, so the same schemas check requests and describe the API:
+ *
+ *   type                  — 'string', 'number', 'integer', 'boolean', 'array' or 'object'
+ *   nullable              — null is allowed too
+ *   enum                  — the only values allowed
+ *   minimum, maximum      — for numbers
+ *   minLength, maxLength,
+ *   pattern               — for strings; `pattern` is a regular expression's source
+ *   items, minItems,
+ *   maxItems              — for arrays
+ *   properties, required,
+ *   additionalProperties  — for objects; false rejects unknown keys, a
+ *                           schema checks them
+ *   errorMessage          — said instead of the generated message when the
+ *                           value fails (left out of the OpenAPI document)
+ *
+ * validateRequest() checks a request before its handler runs. Query strings
+ * arrive as text, so query numbers and booleans are converted first and the
+ * handler sees the converted values. openApiDocument() describes every
+ * route for GET /api/openapi.json.
+ *
+ * Errors from every route share one envelope:
+ *
+ *   { "error": { "code": "invalid_request", "message": "…", "details": null } }
+ *
+ * `code` follows the HTTP status (see ERROR_CODES). A request that fails
+ * validation lists every problem in `details` as { in, field, message },
+ * where `in` is "params", "query" or "body"; `message` repeats the first.
+ */
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  428: 'precondition_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable',
+};
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+// The body of an error response
+function errorBody(status, message, details = null) {
+  return { error: { code: errorCode(status), message, details } };
+}
+
+// ── Checking values ──────────────────────────────────────────────────────────
+
+const TYPE_NAMES = {
+  string:  'a string',
+  number:  'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array:   'a list',
+  object:  'an object',
+};
+
+function hasType(type, value) {
+  switch (type) {
+    case 'string':  return typeof value === 'string';
+    case 'number':  return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array':   return Array.isArray(value);
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:        return true;
+  }
+}
+
+function rangeMessage({ minimum, maximum }) {
+  if (minimum != null && maximum != null) return 'must be between ' + minimum + ' and ' + maximum;
+  return minimum != null ? 'must be at least ' + minimum : 'must be at most ' + maximum;
+}
+
+function countMessage({ minItems, maxItems }) {
+  if (minItems != null && minItems === maxItems) return 'must have exactly ' + minItems + ' items';
+  return minItems != null && maxItems == null ? 'must have at least ' + minItems + ' items' : 'must have at most ' + maxItems + ' items';
+}
+
+const compiled = new Map();
+
+function matches(pattern, text) {
+  if (!compiled.has(pattern)) compiled.set(pattern, new RegExp(pattern));
+  return compiled.get(pattern).test(text);
+}
+
+// Checks `value` against `schema`, adding a { field, message } to
+// `problems` for the first thing wrong with it (or with each of its items
+// or properties). `field` names the value, e.g. "tags[2]".
+function check(schema, value, field, problems) {
+  const fail = message => problems.push({ field, message: schema.errorMessage || field + ' ' + message });
+
+  if (value === null) {
+    if (!schema.nullable) fail('must be ' + (TYPE_NAMES[schema.type] || 'given'));
+    return;
+  }
+  if (schema.type && !hasType(schema.type, value)) return fail('must be ' + TYPE_NAMES[schema.type] + (schema.nullable ? ' or null' : ''));
+  if (schema.enum && !schema.enum.includes(value)) return fail('must be one of ' + schema.enum.join(', '));
+
+  if (typeof value === 'number' && ((schema.minimum != null && value < schema.minimum) || (schema.maximum != null && value > schema.maximum))) {
+    return fail(rangeMessage(schema));
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) return fail(schema.minLength === 1 ? 'must not be empty' : 'must be at least ' + schema.minLength + ' characters');
+    if (schema.maxLength != null && value.length > schema.maxLength) return fail('must be at most ' + schema.maxLength + ' characters');
+    if (schema.pattern && !matches(schema.pattern, value)) return fail('is not in the expected format');
+  }
+  if (Array.isArray(value)) {
+    if ((schema.minItems != null && value.length < schema.minItems) || (schema.maxItems != null && value.length > schema.maxItems)) {
+      return fail(countMessage(schema));
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, field + '[' + i + ']', problems));
+  }
+  if (schema.type === 'object') checkProperties(schema, value, field, problems);
+}
+
+function checkProperties(schema, value, field, problems) {
+  const properties = schema.properties || {};
+  const name = key => (field ? field + '.' + key : key);
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) problems.push({ field: name(key), message: (properties[key] && properties[key].errorMessage) || name(key) + ' is required' });
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (properties[key]) check(properties[key], item, name(key), problems);
+    else if (schema.additionalProperties === false) problems.push({ field: name(key), message: name(key) + ' is not a recognised field' });
+    else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') check(schema.additionalProperties, item, name(key), problems);
+  }
+}
+
+// The problems with `value` under `schema` — an empty list when it's valid
+function validate(schema, value, field = '') {
+  const problems = [];
+  if (field === '' && schema.type === 'object') {
+    if (!hasType('object', value)) return [{ field, message: 'must be an object' }];
+    checkProperties(schema, value, field, problems);
+  } else {
+    check(schema, value, field, problems);
+  }
+  return problems;
+}
+
+// Query-string text as the number or boolean its schema wants. Text that
+// isn't one is left alone for the check to reject.
+function fromText(schema, value) {
+  if (typeof value !== 'string' || !schema) return value;
+  if ((schema.type === 'number' || schema.type === 'integer') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// ── Requests ─────────────────────────────────────────────────────────────────
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Express middleware checking a request against a route spec's `params`,
+// `query` and `body` schemas. A request that fails is passed on as an
+// error with status 400 and `details`.
+function validateRequest(spec) {
+  return (req, res, next) => {
+    const details = [];
+    for (const where of LOCATIONS) {
+      const schema = spec[where];
+      if (!schema) continue;
+
+      let value = req[where];
+      if (where === 'body') {
+        if (value == null) value = {};
+        if (!hasType('object', value)) {
+          details.push({ in: where, field: '', message: 'The request body must be a JSON object' });
+          continue;
+        }
+      } else {
+        value = Object.fromEntries(Object.entries(value || {}).map(([key, v]) => [key, fromText((schema.properties || {})[key], v)]));
+      }
+      details.push(...validate(schema, value).map(p => ({ in: where, ...p })));
+      req[where] = value;
+    }
+
+    if (!details.length) return next();
+    const err = new Error(details[0].message + (details.length > 1 ? ' (and ' + (details.length - 1) + ' more)' : ''));
+    err.status  = 400;
+    err.details = details;
+    next(err);
+  };
+}
+
+// ── OpenAPI ──────────────────────────────────────────────────────────────────
+
+// A schema as OpenAPI 3.0 writes it — without errorMessage
+function openApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(openApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'errorMessage') continue;
+    out[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, s]) => [name, openApiSchema(s)]))
+      : openApiSchema(value);
+  }
+  return out;
+}
+
+const ERROR_SCHEMA = {
+  type:       'object',
+  required:   ['error'],
+  properties: {
+    error: {
+      type:       'object',
+      required:   ['code', 'message', 'details'],
+      properties: {
+        code:    { type: 'string', enum: [...new Set(Object.values(ERROR_CODES))] },
+        message: { type: 'string' },
+        details: {
+          type:     'array',
+          nullable: true,
+          items:    {
+            type:       'object',
+            properties: {
+              in:      { type: 'string', enum: LOCATIONS },
+              field:   { type: 'string' },
+              message: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Options:
+//   info           — the document's { title, version, description }
+//   routes         — [{ method, path, summary, description?, admin?, params?,
+//                     query?, body?, status?, returns? }], `path` in Express
+//                     style ("/api/spots/:id/reports")
+//   sessionCookie  — name of the admin session cookie, for admin routes
+function openApiDocument({ info, routes, sessionCookie }) {
+  const paths = {};
+  for (const route of routes) {
+    const parameters = [];
+    for (const [where, location] of [['params', 'path'], ['query', 'query']]) {
+      const schema = route[where];
+      if (!schema) continue;
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        parameters.push({
+          name,
+          in:       location,
+          required: location === 'path' || (schema.required || []).includes(name),
+          ...(property.description ? { description: property.description } : {}),
+          schema:   openApiSchema(property),
+        });
+      }
+    }
+    for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+      if (!parameters.some(p => p.in === 'path' && p.name === name)) parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+
+    const operation = {
+      summary: route.summary,
+      ...(route.description ? { description: route.description } : {}),
+      tags:    [route.admin ? 'Admin' : 'Public'],
+      ...(parameters.length ? { parameters } : {}),
+      ...(route.body ? { requestBody: { required: true, content: { 'application/json': { schema: openApiSchema(route.body) } } } } : {}),
+      responses: {
+        [route.status || 200]: { description: route.returns || 'OK' },
+        default:               { $ref: '#/components/responses/Error' },
+      },
+      ...(route.admin ? { security: [{ adminSession: [] }] } : {}),
+    };
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [route.method]: operation };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info,
+    paths,
+    components: {
+      schemas:   { Error: ERROR_SCHEMA },
+      responses: {
+        Error: { description: 'An error, in the shared envelope', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+      },
+      securitySchemes: {
+        adminSession: { type: 'apiKey', in: 'cookie', name: sessionCookie, description: 'Set by POST /api/admin/login' },
+      },
+    },
+  };
+}
+
+module.exports = { ERROR_CODES, errorBody, validate, validateRequest, openApiDocument };
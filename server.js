@@ -17,8 +17,28 @@ require('dotenv').config();
 const express = require('express');
 const cors    = require('cors');
 const path    = require('path');
+const crypto  = require('crypto');
 const fs      = require('fs');
 
+const { createResponseCache } = require('./lib/response-cache');
+const { createSpotStore, storeOptionsFromEnv, stampNew, touch, generateId } = require('./lib/spot-store');
+const { createAuditLog }      = require('./lib/audit-log');
+const { createAdminAuth }     = require('./lib/admin-auth');
+const { createRateLimiter }   = require('./lib/rate-limit');
+const { createUpstreamBudgets } = require('./lib/upstream-budgets');
+const { createReportStore, REPORT_KINDS } = require('./lib/report-store');
+const { mentionsGozleme, evidenceRecord, placeEvidence, inferEvidence, scoreEvidence, addEvidence } = require('./lib/evidence');
+const { matchSpots, createSpotIndex, findDuplicatePairs, compareSurvivors, mergeSpotInto, nameSimilarity, genericWordSet } = require('./lib/entity-match');
+const { hoursFromPlace, isOpenOn, isOpenAt, isOpenLate, hoursOnDay, WEEKDAYS } = require('./lib/opening-hours');
+const { createRefreshJob, refreshChanges, REFRESH_FIELDS, CLOSED_PERMANENTLY } = require('./lib/refresh-job');
+const { distanceKm, boundingBox } = require('./lib/geo');
+const { listRegions, regionOf, groupByRegion, placeNamesOf, inBoundary, DEFAULT_REGION } = require('./lib/build-config');
+const { createPostcodeGeocoder, createGoogleGeocoder, createFakeGeocoder, chainGeocoders } = require('./lib/geocoder');
+const { exportSpots, selectSpots, parseFilters, EXPORT_FORMATS } = require('./lib/export');
+const { readImport, IMPORT_FORMATS, IMPORT_FIELDS } = require('./lib/spot-import');
+const { errorBody, validate, validateRequest, openApiDocument } = require('./lib/validation');
+const { askForSpots }         = require('./lib/ai-spots');
+
 const app  = express();
 const PORT = process.env.PORT || 3000;
 const BASE = '';
@@ -28,10 +48,232 @@ const BASE = '';
 const GOOGLE_PLACES_KEY = process.env.GOOGLE_PLACES_KEY || '';
 const GOOGLE_MAPS_KEY   = process.env.GOOGLE_MAPS_KEY   || GOOGLE_PLACES_KEY;
 const ANTHROPIC_KEY     = process.env.ANTHROPIC_KEY     || '';
-const ADMIN_PASSWORD    = process.env.ADMIN_PASSWORD    || '';
+const SESSION_SECRET    = process.env.SESSION_SECRET    || '';
+
+// All spot data (discovered + curated) lives in the spot store — see lib/spot-store.js
+const spotStore = createSpotStore(storeOptionsFromEnv());
+
+// Every admin change is appended here — see lib/audit-log.js
+const auditLog = createAuditLog(process.env.AUDIT_LOG_FILE ? { file: process.env.AUDIT_LOG_FILE } : {});
+
+// Admin accounts live in data/admins.json — see lib/admin-auth.js and admin-users.js.
+// Without SESSION_SECRET a random key is used, so admins are signed out on restart.
+if (!SESSION_SECRET) console.warn('SESSION_SECRET not set — admin sessions and report de-duplication will not survive a restart');
+if (process.env.ADMIN_PASSWORD) console.warn('ADMIN_PASSWORD is no longer used — create accounts with: node admin-users.js add <username>');
+
+const SIGNING_SECRET = SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+const adminAuth = createAdminAuth({
+  secret:         SIGNING_SECRET,
+  sessionHours:   envInt('ADMIN_SESSION_HOURS', 12),
+  maxFailures:    envInt('ADMIN_MAX_FAILURES', 5),
+  lockoutMinutes: envInt('ADMIN_LOCKOUT_MINUTES', 15),
+  ...(process.env.ADMIN_USERS_FILE ? { file: process.env.ADMIN_USERS_FILE } : {}),
+});
+const SESSION_COOKIE = 'gf_admin';
+
+// Community "serves gözleme?" reports — see lib/report-store.js
+const reportStore = createReportStore({
+  secret: SIGNING_SECRET,
+  ...(process.env.REPORTS_FILE ? { file: process.env.REPORTS_FILE } : {}),
+});
+
+// ── Upstream response cache ──────────────────────────────────────────────────
+// TTLs are in seconds and can be tuned per endpoint; 0 disables caching for it.
+// Expired entries are still served for CACHE_STALE_GRACE seconds if Google fails.
+function envInt(name, fallback) {
+  const v = parseInt(process.env[name], 10);
+  return Number.isNaN(v) ? fallback : v;
+}
+
+// Kept under data/, which is never served. A cache saved in the project
+// root by an older version is moved there on first start.
+const RESPONSE_CACHE_FILE = process.env.RESPONSE_CACHE_FILE || path.join(__dirname, 'data', 'response-cache.json');
+const LEGACY_CACHE_FILE   = path.join(__dirname, 'response-cache.json');
+if (!process.env.RESPONSE_CACHE_FILE && fs.existsSync(LEGACY_CACHE_FILE) && !fs.existsSync(RESPONSE_CACHE_FILE)) {
+  fs.renameSync(LEGACY_CACHE_FILE, RESPONSE_CACHE_FILE);
+}
+
+const responseCache = createResponseCache({
+  file: RESPONSE_CACHE_FILE,
+  ttls: {
+    'places':           envInt('CACHE_TTL_PLACES',           24 * 3600),
+    'places-by-review': envInt('CACHE_TTL_PLACES_BY_REVIEW', 24 * 3600),
+    'geocode':          envInt('CACHE_TTL_GEOCODE',          30 * 24 * 3600),
+    'geocode-reverse':  envInt('CACHE_TTL_GEOCODE_REVERSE',  30 * 24 * 3600),
+    'ai-suggest':       envInt('CACHE_TTL_AI_SUGGEST',       7 * 24 * 3600),
+  },
+  staleGrace: envInt('CACHE_STALE_GRACE', 6 * 3600),
+});
+
+// ── Upstream budgets ─────────────────────────────────────────────────────────
+// Google and Anthropic bill per call, so each upstream API gets a budget of
+// calls per UTC day, shared by every visitor and by the gozleme tools — see
+// lib/upstream-budgets.js. Only calls that reach upstream count; cache hits
+// are free. Once a budget is spent its calls fail with a 503, so the
+// response cache falls back to expired entries (within CACHE_STALE_GRACE)
+// and /api/search carries on with its other sources. Usage is kept under
+// data/usage/ and reported on GET /api/admin/metrics.
+const upstreamBudgets = createUpstreamBudgets();
+const spendBudget     = upstreamBudgets.spend;
+
+// ── Regions ──────────────────────────────────────────────────────────────────
+// Every city the app covers, from regions/*.json — see lib/build-config.js.
+// Public routes take `region` (query or body; default london) and only see
+// that region's spots, centre, bounds and time zone.
+const REGIONS = new Map(listRegions().map(r => [r.id, r]));
+
+// The region named by `params.region`, or the default. Throws 400 for an
+// unknown one.
+function regionFor(params = {}) {
+  const id = params.region || DEFAULT_REGION;
+  const region = typeof id === 'string' && REGIONS.get(id);
+  if (!region) throw httpError('Unknown region: ' + id + ' — one of ' + [...REGIONS.keys()].join(', '), 400);
+  return region;
+}
+
+const regionCentre = region => ({ lat: region.center.latitude, lng: region.center.longitude });
+// Where the Places proxies search by default — see lib/build-config.js
+const searchCentre = region => region.searchCenter || region.center;
+
+// The lib/entity-match.js options for matching spots within a region: its
+// city and other place names count as generic words. A region id without a
+// file in regions/ (a `gozleme --config` build's) has only its id.
+const REGION_WORDS = new Map([...REGIONS.values()].map(r => [r.id, genericWordSet(placeNamesOf(r))]));
+
+function matchOptionsFor(id) {
+  return { genericWords: REGION_WORDS.get(id) || genericWordSet([id]) };
+}
+
+// ── Geocoding ────────────────────────────────────────────────────────────────
+// Providers are tried in GEOCODERS order (default "postcodes,google") until
+// one has an answer — see lib/geocoder.js. Postcodes resolve from the local
+// centroid CSV at POSTCODES_FILE without a network call; Google needs a Maps
+// key; "fake" answers from the JSON fixture at GEOCODER_FAKE_FILE. Providers
+// that aren't set up are left out, so searching by postcode still works
+// without a Google key.
+const POSTCODES_FILE = process.env.POSTCODES_FILE || path.join(__dirname, 'data', 'postcodes.csv');
+
+function geocodeProvider(name) {
+  if (name === 'postcodes') {
+    if (!fs.existsSync(POSTCODES_FILE)) {
+      if (process.env.POSTCODES_FILE) console.warn('Geocoding: POSTCODES_FILE ' + POSTCODES_FILE + ' not found — postcode lookup off');
+      return null;
+    }
+    return createPostcodeGeocoder({ file: POSTCODES_FILE });
+  }
+  if (name === 'google') return GOOGLE_MAPS_KEY ? createGoogleGeocoder({ key: GOOGLE_MAPS_KEY, cache: responseCache, budget: upstreamBudgets.budgets.geocode }) : null;
+  if (name === 'fake') {
+    if (process.env.GEOCODER_FAKE_FILE) return createFakeGeocoder({ file: process.env.GEOCODER_FAKE_FILE });
+    console.warn('Geocoding: GEOCODER_FAKE_FILE not set — fake geocoder off');
+    return null;
+  }
+  console.warn('Geocoding: unknown provider "' + name + '" in GEOCODERS');
+  return null;
+}
+
+const geocodeProviders = (process.env.GEOCODERS || 'postcodes,google').split(',')
+  .map(name => geocodeProvider(name.trim()))
+  .filter(Boolean);
+const geocoder = chainGeocoders(geocodeProviders);
+
+// ── API schemas ──────────────────────────────────────────────────────────────
+// Every API route is registered with api(), which checks its path
+// parameters, query string and JSON body against the route's schemas before
+// the handler runs, and lists the route in GET /api/openapi.json — see
+// lib/validation.js. Handlers can rely on types, ranges and lengths; rules
+// that need the store (a spot exists, a version matches) stay in them.
+
+const apiRoutes = [];
+
+// spec: { summary, description?, admin?, rateLimit?, params?, query?, body?, status?, returns? }
+// `admin` puts the route behind requireAdminAuth; `rateLimit` names the
+// per-IP limit in rateLimits it counts against.
+function api(method, route, spec, handler) {
+  apiRoutes.push({ method, path: route, ...spec });
+  const guards = [
+    ...(spec.admin ? [requireAdminAuth] : []),
+    ...(spec.rateLimit ? [limitRate(rateLimits[spec.rateLimit])] : []),
+  ];
+  app[method](BASE + route, ...guards, validateRequest(spec), handler);
+}
+
+// Per-IP limits on the public routes that can reach Google or Anthropic, in
+// requests per hour. The page's first load geocodes stored spots without
+// coordinates, so geocoding gets the most.
+function perHour(limit, what) {
+  return {
+    limiter: createRateLimiter({ limit, windowMs: 3600 * 1000 }),
+    message: 'Too many ' + what + ' from your connection — please try again later',
+  };
+}
+
+const rateLimits = {
+  search:  perHour(envInt('SEARCH_RATE_LIMIT', 60), 'searches'),
+  places:  perHour(envInt('PLACES_RATE_LIMIT', 120), 'place searches'),
+  geocode: perHour(envInt('GEOCODE_RATE_LIMIT', 60), 'location lookups'),
+  ai:      perHour(envInt('AI_RATE_LIMIT', 10), 'AI searches'),
+};
+
+// Middleware answering 429, with Retry-After, once an IP is over `limiter`'s limit
+function limitRate({ limiter, message }) {
+  return (req, res, next) => {
+    const limit = limiter.hit(req.ip);
+    if (limit.allowed) return next();
+    res.set('Retry-After', String(limit.retryAfter));
+    sendError(res, 429, message);
+  };
+}
+
+// Object schemas. objectSchema ignores keys it doesn't list — for query
+// strings and path parameters; bodySchema rejects them — for JSON bodies.
+const objectSchema = (properties, required = []) => ({ type: 'object', properties, ...(required.length ? { required } : {}) });
+const bodySchema   = (properties, required = []) => ({ ...objectSchema(properties, required), additionalProperties: false });
+
+const OPEN_FILTERS = ['now', 'late', 'at'];
+
+const REGION    = { type: 'string', enum: [...REGIONS.keys()], description: 'Region id (see GET /api/regions), default ' + DEFAULT_REGION };
+const LATITUDE  = { type: 'number', minimum: -90, maximum: 90 };
+const LONGITUDE = { type: 'number', minimum: -180, maximum: 180 };
+const RADIUS    = { type: 'number', minimum: 1, maximum: 50000, description: 'Metres' };
+
+// Store IDs, Google placeIds and generated IDs are all short and URL-safe
+const ID          = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,200}$', errorMessage: 'Invalid ID' };
+const SPOT_ID     = { ...ID, errorMessage: 'Invalid spot ID' };
+const ID_PARAMS   = objectSchema({ id: ID });
+const SPOT_PARAMS = objectSchema({ id: SPOT_ID });
+
+// The opening-hours filter taken by /api/search and the spot lists — see openFilter()
+const OPEN_FILTER = {
+  open: { type: 'string', enum: OPEN_FILTERS, description: 'now, late (11 PM–5 AM tonight) or at (with day and time), in the region\'s local time' },
+  day:  { type: 'string', maxLength: 9, description: 'mon–sun, for open=at' },
+  time: { type: 'string', pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$', description: 'HH:MM, 24-hour, for open=at', errorMessage: 'time must be HH:MM, 24-hour' },
+};
+
+// ── Background refresh ───────────────────────────────────────────────────────
+// Re-fetches stored spots from Place Details in small batches so ratings,
+// opening hours and business status don't go stale — see lib/refresh-job.js.
+// Started once the server is listening, if a Places key is set;
+// REFRESH_INTERVAL_MINUTES=0 turns it off.
+const refreshJob = createRefreshJob({
+  store:       spotStore,
+  fetchPlace:  placeId => placeDetails(placeId, REFRESH_FIELDS),
+  budget:      upstreamBudgets.budgets['place-details'],
+  batchSize:   envInt('REFRESH_BATCH_SIZE', 20),
+  maxAgeMs:    envInt('REFRESH_MAX_AGE_HOURS', 7 * 24) * 3600 * 1000,
+  intervalMs:  envInt('REFRESH_INTERVAL_MINUTES', 60) * 60 * 1000,
+});
 
 // ── Middleware ──────────────────────────────────────────────────────────────
-app.use(cors());
+// The pages are served from this origin, so the API answers no other by
+// default — another site's script can't spend the shared upstream budgets
+// from its visitors' browsers. CORS_ORIGINS (comma-separated) lets named
+// origins call it, for a frontend hosted elsewhere.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+if (CORS_ORIGINS.length) app.use(BASE + '/api', cors({ origin: CORS_ORIGINS }));
+// Production runs behind a proxy that sets X-Forwarded-*; trust it so req.ip
+// is the client address the login rate limit should key on.
+if (process.env.NODE_ENV === 'production') app.set('trust proxy', 1);
 // Force HTTPS in production
 app.use((req, res, next) => {
   if (process.env.NODE_ENV === 'production' && req.headers['x-forwarded-proto'] !== 'https') {
@@ -39,104 +281,303 @@ app.use((req, res, next) => {
   }
   next();
 });
+// Spot imports carry a whole CSV or GeoJSON file; everything else is small
+app.use(BASE + '/api/admin/import', express.json({ limit: '2mb' }));
 app.use(express.json());
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// data/ holds admin accounts, the audit log and the response cache — never serve it
+app.use('/data', (req, res) => res.status(404).send('Not found'));
+
+// Only the pages' own images are served as files. The project root also
+// holds the server code, .env and the admin page, which has its own
+// signed-in route below.
+const PUBLIC_FILES = ['favicon.svg', 'gozleme-banner.png'];
+for (const file of PUBLIC_FILES) {
+  app.get('/' + file, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
 
 // Root → frontend
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// ── Regions ──────────────────────────────────────────────────────────────────
+// GET /api/regions
+// Returns: { regions: [{ id, name, city, country, timeZone, centre, bounds }], default }
+// `bounds` is the box around the region's boundary ({ minLat, maxLat,
+// minLng, maxLng }), or null when it has none.
+api('get', '/api/regions', { summary: 'The regions the app covers', returns: '{ regions, default }' }, (req, res) => {
+  const box = ring => ({
+    minLat: Math.min(...ring.map(p => p[1])), maxLat: Math.max(...ring.map(p => p[1])),
+    minLng: Math.min(...ring.map(p => p[0])), maxLng: Math.max(...ring.map(p => p[0])),
+  });
+  res.json({
+    regions: [...REGIONS.values()].map(r => ({
+      id:       r.id,
+      name:     r.name,
+      city:     r.city,
+      country:  r.country,
+      timeZone: r.timeZone,
+      centre:   regionCentre(r),
+      bounds:   r.boundary ? box(r.boundary) : null,
+    })),
+    default: DEFAULT_REGION,
+  });
+});
+
 // ── Health check ─────────────────────────────────────────────────────────────
-app.get(BASE + '/health', (req, res) => {
+api('get', '/health', { summary: 'Server status: keys set, caches, refresh job and geocoders' }, (req, res) => {
   res.json({
     status: 'ok',
     googlePlacesKeySet: !!GOOGLE_PLACES_KEY,
     googleMapsKeySet:   !!GOOGLE_MAPS_KEY,
     anthropicKeySet:    !!ANTHROPIC_KEY,
+    responseCache:      responseCache.stats(),
+    refresh:            refreshJob.status(),
+    geocoders:          geocoder.names,
+    regions:            [...REGIONS.keys()],
   });
 });
 
 // ── Expose Maps JS key to the browser ────────────────────────────────────────
 // The key is sent at runtime rather than baked into the HTML source.
-app.get(BASE + '/api/maps-key', (req, res) => {
-  if (!GOOGLE_MAPS_KEY) {
-    return res.status(404).json({ error: 'GOOGLE_MAPS_KEY not configured in .env' });
-  }
+api('get', '/api/maps-key', { summary: 'The Maps JavaScript API key', returns: '{ key }' }, (req, res) => {
+  if (!GOOGLE_MAPS_KEY) return sendError(res, 404, 'GOOGLE_MAPS_KEY not configured in .env');
   res.json({ key: GOOGLE_MAPS_KEY });
 });
 
-// ── Google Places proxy ───────────────────────────────────────────────────────
-// POST /api/places
-// Body: { textQuery, latitude?, longitude?, radius?, maxResults? }
-app.post(BASE + '/api/places', async (req, res) => {
-  const apiKey = GOOGLE_PLACES_KEY;
-  if (!apiKey) {
-    return res.status(400).json({ error: 'GOOGLE_PLACES_KEY not set in .env' });
-  }
+// ── Google API helpers ───────────────────────────────────────────────────────
+// Shared by the proxy routes below and the /api/search pipeline. Each helper
+// throws an Error carrying `status` when Google rejects the request, so routes
+// can pass the upstream status code straight through. Successful responses go
+// through responseCache, keyed on the request parameters.
 
-  const {
-    textQuery,
-    latitude   = 51.5200,
-    longitude  = -0.0700,
-    radius     = 15000,
-    maxResults = 20,
-  } = req.body;
+const PLACES_FIELDS = [
+  'places.id',                // ← spot ID for community reports
+  'places.displayName',
+  'places.formattedAddress',
+  'places.shortFormattedAddress',
+  'places.rating',
+  'places.userRatingCount',
+  'places.currentOpeningHours',
+  'places.regularOpeningHours', // ← stored weekly hours; "open now" is worked out per request
+  'places.businessStatus',
+  'places.priceLevel',
+  'places.googleMapsUri',
+  'places.location',          // ← lat/lng for map pins
+  'places.types',             // ← evidence: Turkish restaurant etc.
+  'places.primaryType',
+];
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Sends an error in the shared envelope — see lib/validation.js. `extra`
+// adds fields beside `error`, such as the current spot on a 412.
+function sendError(res, status, message, details = null, extra = {}) {
+  return res.status(status).json({ ...errorBody(status, message, details), ...extra });
+}
 
-  if (!textQuery) return res.status(400).json({ error: 'textQuery is required' });
+// Places text search restricted to a box around the centre.
+// Returns the raw Places response ({ places: [...] }).
+async function placesTextSearch({ textQuery, latitude, longitude, radius = 15000, maxResults = 20 }) {
+  if (!GOOGLE_PLACES_KEY) throw httpError('GOOGLE_PLACES_KEY not set in .env', 400);
+  const params = { textQuery, latitude, longitude, radius, maxResults };
+  return rememberPlaces(await responseCache.wrap('places', params, () => requestPlacesText(params)));
+}
+
+async function requestPlacesText({ textQuery, latitude, longitude, radius, maxResults }) {
+  spendBudget('places-text');
 
-  // Convert radius (metres) to degree offsets
-  // At lat 51°: 1° lat ≈ 111km, 1° lng ≈ 69km
-  const radiusKm  = parseFloat(radius) / 1000;
-  const latDelta  = radiusKm / 111;
-  const lngDelta  = radiusKm / 69;
+  // Text search only restricts to rectangles, so ask for the box around the
+  // circle; callers trim the corners with placesInCircle()
+  const box = boundingBox(Number(latitude), Number(longitude), parseFloat(radius));
 
-  console.log('Places search:', textQuery, '| centre:', latitude, longitude, '| radius:', radiusKm + 'km', '| box:', [latitude - latDelta, longitude - lngDelta, latitude + latDelta, longitude + lngDelta].map(n => n.toFixed(4)).join(', '));
+  console.log('Places search:', textQuery, '| centre:', latitude, longitude, '| radius:', parseFloat(radius) / 1000 + 'km', '| box:', [box.minLat, box.minLng, box.maxLat, box.maxLng].map(n => n.toFixed(4)).join(', '));
 
   const body = {
     textQuery,
     locationRestriction: {
       rectangle: {
-        low:  { latitude: latitude - latDelta, longitude: longitude - lngDelta },
-        high: { latitude: latitude + latDelta, longitude: longitude + lngDelta },
+        low:  { latitude: box.minLat, longitude: box.minLng },
+        high: { latitude: box.maxLat, longitude: box.maxLng },
       },
     },
     maxResultCount: Math.min(parseInt(maxResults, 10) || 20, 20),
   };
 
-  try {
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch('https://places.googleapis.com/v1/places:searchText', {
-      method: 'POST',
-      headers: {
-        'Content-Type':     'application/json',
-        'X-Goog-Api-Key':   apiKey,
-        'X-Goog-FieldMask': [
-          'places.displayName',
-          'places.formattedAddress',
-          'places.shortFormattedAddress',
-          'places.rating',
-          'places.userRatingCount',
-          'places.currentOpeningHours',
-          'places.priceLevel',
-          'places.googleMapsUri',
-          'places.location',          // ← lat/lng for map pins
-        ].join(','),
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch('https://places.googleapis.com/v1/places:searchText', {
+    method: 'POST',
+    headers: {
+      'Content-Type':     'application/json',
+      'X-Goog-Api-Key':   GOOGLE_PLACES_KEY,
+      'X-Goog-FieldMask': PLACES_FIELDS.join(','),
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const msg = data.error?.message || response.statusText;
+    throw httpError('Google Places error: ' + msg, response.status);
+  }
+  return data;
+}
+
+// The places in a Places response that lie within `radius` metres of the
+// centre, each with `distance` from it in km. Places without a location
+// are kept, with a null distance.
+function placesInCircle(places, { latitude, longitude, radius }) {
+  return (places || [])
+    .map(p => ({
+      ...p,
+      distance: p.location ? distanceKm(Number(latitude), Number(longitude), p.location.latitude, p.location.longitude) : null,
+    }))
+    .filter(p => p.distance == null || p.distance <= parseFloat(radius) / 1000);
+}
+
+// searchNearby over every restaurant in the circle, keeping only those with a
+// review that mentions gözleme. Returns { places: [...] } with `matchedReview`
+// set on each place.
+// Default radius is tighter than text search — searchNearby returns every
+// restaurant, so keep it focused.
+async function placesByReview({ latitude, longitude, radius = 3000 }) {
+  if (!GOOGLE_PLACES_KEY) throw httpError('GOOGLE_PLACES_KEY not set in .env', 400);
+  const params = { latitude, longitude, radius };
+  return rememberPlaces(await responseCache.wrap('places-by-review', params, () => requestPlacesByReview(params)));
+}
+
+async function requestPlacesByReview({ latitude, longitude, radius }) {
+  spendBudget('places-nearby');
+  const fetch = (await import('node-fetch')).default;
+
+  // searchNearby returns all places of given types within a circle —
+  // no keyword filter, so every restaurant in the area is included
+  const body = {
+    includedTypes: ['restaurant', 'cafe', 'bakery', 'meal_takeaway', 'meal_delivery'],
+    maxResultCount: 20,
+    locationRestriction: {
+      circle: {
+        center: { latitude, longitude },
+        radius: parseFloat(radius),
       },
-      body: JSON.stringify(body),
+    },
+  };
+
+  const response = await fetch('https://places.googleapis.com/v1/places:searchNearby', {
+    method: 'POST',
+    headers: {
+      'Content-Type':     'application/json',
+      'X-Goog-Api-Key':   GOOGLE_PLACES_KEY,
+      'X-Goog-FieldMask': [...PLACES_FIELDS, 'places.reviews'].join(','),
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const msg = data.error?.message || response.statusText;
+    throw httpError('searchNearby error: ' + msg, response.status);
+  }
+
+  // Filter to only places with a review mentioning gözleme
+  const filtered = [];
+  const seen = new Set();
+
+  for (const place of (data.places || [])) {
+    const key = (place.displayName?.text || '') + '|' + (place.formattedAddress || '');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const reviews = place.reviews || [];
+    const matchingReview = reviews.find(r =>
+      mentionsGozleme(r.text?.text || r.originalText?.text || '')
+    );
+    if (!matchingReview) continue;
+
+    filtered.push({
+      ...place,
+      matchedReview: matchingReview.text?.text || matchingReview.originalText?.text || '',
     });
+  }
 
-    const data = await response.json();
-    if (!response.ok) {
-      const msg = data.error?.message || response.statusText;
-      return res.status(response.status).json({ error: 'Google Places error: ' + msg });
-    }
-    res.json(data);
+  return { places: filtered };
+}
+
+// Place Details for a single placeId. Always goes to Google — used when an
+// admin explicitly asks for fresh data and by the background refresh, so it
+// bypasses responseCache. `fields` defaults to the search fields.
+async function placeDetails(placeId, fields = PLACES_FIELDS.map(f => f.replace(/^places\./, ''))) {
+  if (!GOOGLE_PLACES_KEY) throw httpError('GOOGLE_PLACES_KEY not set in .env', 400);
+  spendBudget('place-details');
+
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch('https://places.googleapis.com/v1/places/' + encodeURIComponent(placeId), {
+    headers: {
+      'X-Goog-Api-Key':   GOOGLE_PLACES_KEY,
+      'X-Goog-FieldMask': fields.join(','),
+    },
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const msg = data.error?.message || response.statusText;
+    throw httpError('Place Details error: ' + msg, response.status === 404 ? 404 : 502);
+  }
+  return data;
+}
+
+// Forward geocode through the provider chain. Returns { lat, lng }, or null
+// when no provider has a match.
+async function geocodeAddress(address) {
+  const coords = await geocoder.geocode(address);
+  if (!coords) console.warn('Geocode: no result for "' + address + '"');
+  return coords;
+}
+
+// Reverse geocode. Returns a human-readable label (postcode, neighbourhood or
+// locality), or null when no provider has one.
+function reverseGeocode(lat, lng) {
+  return geocoder.reverse(lat, lng);
+}
+
+// ── Google Places proxy ───────────────────────────────────────────────────────
+// POST /api/places
+// Body: { textQuery, region?, latitude?, longitude?, radius?, maxResults?, open?, day?, time? }
+// Searches around the region's search centre (its centre unless the region
+// sets `searchCenter`) unless latitude/longitude are given.
+// Returns Google's response trimmed to the circle of `radius` metres, with
+// `distance` (km from the centre), `openingHours`, `isOpen` and `hoursToday`
+// added to each place; open/day/time filter it as on /api/search.
+api('post', '/api/places', {
+  summary:   'Google Places text search around a point',
+  rateLimit: 'places',
+  body:      bodySchema({
+    textQuery:  { type: 'string', minLength: 1, maxLength: 200 },
+    region:     REGION,
+    latitude:   LATITUDE,
+    longitude:  LONGITUDE,
+    radius:     RADIUS,
+    maxResults: { type: 'integer', minimum: 1, maximum: 20 },
+    ...OPEN_FILTER,
+  }, ['textQuery']),
+  returns:   'Google\'s response, trimmed to the circle, with distance and opening hours on each place',
+}, async (req, res) => {
+  try {
+    const region = regionFor(req.body);
+    const wanted = openFilter(req.body, region);
+    const params = { ...searchCentre(region), radius: 15000, ...req.body };
+    const data   = await placesTextSearch(params);
+    const places = withOpenState(placesInCircle(data.places, params).map(p => ({ ...p, openingHours: hoursFromPlace(p) })), region);
+    res.json({ ...data, places: wanted ? places.filter(wanted) : places });
   } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
     console.error('Places proxy error:', err);
-    res.status(502).json({ error: 'Proxy request failed: ' + err.message });
+    sendError(res, 502, 'Proxy request failed: ' + err.message);
   }
 });
 
@@ -146,317 +587,2015 @@ app.post(BASE + '/api/places', async (req, res) => {
 // category, then filters server-side to those whose reviews mention gözleme.
 // This catches places like Sultan Kitchen that Google doesn't categorise as
 // Turkish but whose customers mention gözleme in reviews.
-app.post(BASE + '/api/places-by-review', async (req, res) => {
-  const apiKey = GOOGLE_PLACES_KEY;
-  if (!apiKey) {
-    return res.status(400).json({ error: 'GOOGLE_PLACES_KEY not set in .env' });
+// Body: { region?, latitude?, longitude?, radius? } — the region's search centre by default
+api('post', '/api/places-by-review', {
+  summary:   'Restaurants nearby with a review that mentions gözleme',
+  rateLimit: 'places',
+  body:      bodySchema({ region: REGION, latitude: LATITUDE, longitude: LONGITUDE, radius: RADIUS }),
+  returns:   '{ places }, each with matchedReview',
+}, async (req, res) => {
+  try {
+    const region = regionFor(req.body);
+    res.json(await placesByReview({ ...searchCentre(region), ...req.body }));
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('Places-by-review proxy error:', err);
+    sendError(res, 502, 'Proxy request failed: ' + err.message);
   }
+});
+// ── Stored spot coordinates ──────────────────────────────────────────────────
+// Stored spots without coordinates — a curated spot added by address, an AI
+// spot the builder couldn't place — are geocoded here once and saved, so the
+// public routes return them placed and the page never geocodes them itself.
+// At most LOCATE_BATCH are tried per pass. A spot that can't be placed is
+// marked `geocodeFailedAt` and not tried again for LOCATE_RETRY_MS; a failed
+// geocoder (an outage, a spent budget) ends the pass without marking it.
 
-  const {
-    latitude  = 51.5200,
-    longitude = -0.0700,
-    radius    = 3000,   // tighter radius — searchNearby returns all restaurants so keep focused
-  } = req.body;
-
-  const GOZLEME_TERMS = ['gozleme', 'gözleme', 'gozlemé', 'gozlemi', 'gözlemi'];
+const LOCATE_BATCH    = 20;
+const LOCATE_RETRY_MS = 7 * 24 * 3600 * 1000;
+const locating        = new Map();   // region id → the pass in progress
 
-  function mentionsGozleme(text) {
-    if (!text) return false;
-    const lower = text.toLowerCase();
-    return GOZLEME_TERMS.some(t => lower.includes(t));
+function locateStoredSpots(region) {
+  if (!locating.has(region.id)) {
+    locating.set(region.id, locateMissing(region).finally(() => locating.delete(region.id)));
   }
+  return locating.get(region.id);
+}
 
-  try {
-    const fetch = (await import('node-fetch')).default;
-
-    // searchNearby returns all places of given types within a circle —
-    // no keyword filter, so every restaurant in the area is included
-    const body = {
-      includedTypes: ['restaurant', 'cafe', 'bakery', 'meal_takeaway', 'meal_delivery'],
-      maxResultCount: 20,
-      locationRestriction: {
-        circle: {
-          center: { latitude, longitude },
-          radius: parseFloat(radius),
-        },
-      },
-    };
-
-    const response = await fetch('https://places.googleapis.com/v1/places:searchNearby', {
-      method: 'POST',
-      headers: {
-        'Content-Type':     'application/json',
-        'X-Goog-Api-Key':   apiKey,
-        'X-Goog-FieldMask': [
-          'places.displayName',
-          'places.formattedAddress',
-          'places.shortFormattedAddress',
-          'places.rating',
-          'places.userRatingCount',
-          'places.currentOpeningHours',
-          'places.priceLevel',
-          'places.googleMapsUri',
-          'places.location',
-          'places.reviews',
-        ].join(','),
-      },
-      body: JSON.stringify(body),
-    });
+async function locateMissing(region, now = Date.now()) {
+  const data = await spotStore.read();
+  const todo = [
+    ...data.spots.map(spot => ({ collection: 'spots', spot })),
+    ...data.curated.map(spot => ({ collection: 'curated', spot })),
+  ].filter(({ spot }) => spot.lat == null && regionOf(spot) === region.id
+    && !(spot.geocodeFailedAt && now - Date.parse(spot.geocodeFailedAt) < LOCATE_RETRY_MS))
+    .slice(0, LOCATE_BATCH);
+  if (!todo.length) return;
 
-    const data = await response.json();
-    if (!response.ok) {
-      const msg = data.error?.message || response.statusText;
-      return res.status(response.status).json({ error: 'searchNearby error: ' + msg });
+  const results = [];
+  try {
+    for (const { collection, spot } of todo) {
+      const queries = [spot.address, spot.area && spot.name + ', ' + spot.area, spot.name].filter(Boolean);
+      let coords = null;
+      for (const q of queries) {
+        coords = await geocodeInRegion(q, region);
+        if (coords) break;
+      }
+      results.push({ collection, id: spot.id, coords });
     }
+  } catch (err) {
+    console.warn('Locate: stopped — ' + err.message);
+  }
+  if (!results.length) return;
 
-    // Filter to only places with a review mentioning gözleme
-    const filtered = [];
-    const seen = new Set();
-
-    for (const place of (data.places || [])) {
-      const key = (place.displayName?.text || '') + '|' + (place.formattedAddress || '');
-      if (seen.has(key)) continue;
-      seen.add(key);
-
-      const reviews = place.reviews || [];
-      const matchingReview = reviews.find(r =>
-        mentionsGozleme(r.text?.text || r.originalText?.text || '')
-      );
-      if (!matchingReview) continue;
-
-      filtered.push({
-        ...place,
-        matchedReview: matchingReview.text?.text || matchingReview.originalText?.text || '',
-      });
+  const at = new Date(now).toISOString();
+  await spotStore.update(data => {
+    for (const { collection, id, coords } of results) {
+      const spot = data[collection].find(s => s.id === id);
+      if (!spot || spot.lat != null) continue;
+      if (coords) {
+        Object.assign(spot, { lat: coords.lat, lng: coords.lng });
+        delete spot.geocodeFailedAt;
+        touch(spot, at);
+      } else {
+        spot.geocodeFailedAt = at;
+      }
     }
+  });
+  console.log('Locate: ' + results.filter(r => r.coords).length + ' of ' + results.length + ' ' + region.name + ' spots placed');
+}
 
-    res.json({ places: filtered });
-  } catch (err) {
-    console.error('Places-by-review proxy error:', err);
-    res.status(502).json({ error: 'Proxy request failed: ' + err.message });
-  }
-});
 // ── Cached AI spots ──────────────────────────────────────────────────────────
 // GET /api/cached-spots
-// Serves pre-built AI results from cache.json, filtering out hidden spots.
-// Returns empty array if cache doesn't exist yet.
-app.get(BASE + '/api/cached-spots', (req, res) => {
-  const filePath = path.join(__dirname, 'cache.json');
-  try {
-    const raw  = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(raw);
-    const visible = (data.spots || []).filter(s => !s.hidden);
+// Serves pre-built discovered spots from the spot store, filtering out hidden
+// spots and those Google lists as permanently closed. Returns an empty array
+// if nothing has been built yet. Spots without coordinates are placed first
+// (see locateStoredSpots). Takes the region and open/day/time filters of
+// /api/search. There is no filter on `confidence` yet: most stored spots
+// predate evidence records and share the same inferred score.
+api('get', '/api/cached-spots', {
+  summary: 'Discovered spots from the spot store',
+  query:   objectSchema({ region: REGION, ...OPEN_FILTER }),
+  returns: '{ spots, builtAt }',
+}, async (req, res) => {
+  try {
+    const region  = regionFor(req.query);
+    const wanted  = openFilter(req.query, region);
+    await locateStoredSpots(region);
+    const data    = await spotStore.read();
+    const visible = withOpenState(await withReports(data.spots.filter(s => !s.hidden && s.businessStatus !== CLOSED_PERMANENTLY && regionOf(s) === region.id)), region)
+      .filter(s => !wanted || wanted(s));
     res.json({ spots: visible, builtAt: data.builtAt || null });
   } catch (err) {
-    if (err.code === 'ENOENT') return res.json({ spots: [], builtAt: null });
+    if (err.status) return sendError(res, err.status, err.message);
     console.error('Cache error:', err);
-    res.status(500).json({ error: 'Failed to load cache: ' + err.message });
+    sendError(res, 500, 'Failed to load cache: ' + err.message);
   }
 });
 
-// ── Admin auth middleware ─────────────────────────────────────────────────────
-function requireAdminAuth(req, res, next) {
-  if (!ADMIN_PASSWORD) return next(); // no password set — open access
+// ── Community reports ────────────────────────────────────────────────────────
+// Visitors can report whether a spot serves gözleme, no longer does, or has
+// closed. Reports are kept per voter (latest wins) and summarised as
+// `reports` counts plus a `confidence` score on every spot the API returns.
+
+const reportLimiter = createRateLimiter({
+  limit:    envInt('REPORT_RATE_LIMIT', 30),
+  windowMs: 3600 * 1000,
+});
 
-  const auth = req.headers['authorization'] || '';
-  const [scheme, encoded] = auth.split(' ');
+// Live Places results aren't stored, but visitors can report on them by
+// placeId. The placeIds Places searches return are remembered for as long
+// as the searches are cached, so a report can only name a place someone
+// was shown. A restart forgets them; stored spots are always known.
+const RECENT_PLACE_MS  = envInt('CACHE_TTL_PLACES', 24 * 3600) * 1000;
+const RECENT_PLACE_MAX = 50000;
+const recentPlaceIds   = new Map();   // placeId → when a search last returned it
 
-  if (scheme === 'Basic' && encoded) {
-    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
-    const password = decoded.split(':').slice(1).join(':'); // ignore username
-    if (password === ADMIN_PASSWORD) return next();
+function rememberPlaces(data, now = Date.now()) {
+  for (const place of (data && data.places) || []) {
+    if (!place.id) continue;
+    recentPlaceIds.delete(place.id);
+    recentPlaceIds.set(place.id, now);
   }
+  // Oldest first, so trim from the front
+  for (const [id, at] of recentPlaceIds) {
+    if (recentPlaceIds.size <= RECENT_PLACE_MAX && now - at < RECENT_PLACE_MS) break;
+    recentPlaceIds.delete(id);
+  }
+  return data;
+}
 
-  res.set('WWW-Authenticate', 'Basic realm="Admin"');
-  return res.status(401).send('Unauthorized');
+// Whether `id` names a stored spot (by ID or placeId) or a recent Places result
+async function isKnownSpot(id) {
+  const at = recentPlaceIds.get(id);
+  if (at != null && Date.now() - at < RECENT_PLACE_MS) return true;
+  const data = await spotStore.read();
+  return [...data.spots, ...data.curated].some(s => s.id === id || s.placeId === id);
 }
 
-// ── Admin — list all cached spots (including hidden) ─────────────────────────
-// GET /api/admin/spots
-app.get(BASE + '/api/admin/spots', requireAdminAuth, (req, res) => {
-  const filePath = path.join(__dirname, 'cache.json');
+// Evidence score for a spot, inferred from its source if it predates
+// evidence records — see lib/evidence.js
+function spotEvidenceScore(spot, collection) {
+  return spot.evidenceScore ?? scoreEvidence(inferEvidence(spot, collection));
+}
+
+// Works out `isOpen` from a spot's stored opening hours at request time, in
+// the region's time zone. A spot Google lists as permanently closed is never
+// open; one without hours is unknown (null). `hoursToday` is Google's line
+// for today's hours.
+function withOpenState(spots, region, now = new Date()) {
+  return spots.map(spot => ({
+    ...spot,
+    isOpen:     spot.businessStatus === CLOSED_PERMANENTLY ? false : isOpenAt(spot.openingHours, now, region.timeZone),
+    hoursToday: hoursOnDay(spot.openingHours, now, region.timeZone),
+  }));
+}
+
+// Reads the opening-hours filter from query (or body) parameters into a
+// predicate on spots, or null when there is none:
+//   open=now                       — open right now
+//   open=late                      — open at some point from 11 PM to 5 AM tonight
+//   open=at&day=fri&time=23:30     — open at that day and time
+// All in the region's local time. Spots whose hours aren't known, or that
+// Google lists as permanently closed, never pass. Throws a 400 for a
+// malformed filter.
+function openFilter(params, region, now = new Date()) {
+  const open = params.open;
+  if (open == null || open === '') return null;
+  if (!OPEN_FILTERS.includes(open)) throw httpError('open must be one of: ' + OPEN_FILTERS.join(', '), 400);
+
+  let isOpen;
+  if (open === 'now') {
+    isOpen = hours => isOpenAt(hours, now, region.timeZone);
+  } else if (open === 'late') {
+    isOpen = hours => isOpenLate(hours, now, region.timeZone);
+  } else {
+    const day  = WEEKDAYS.findIndex(d => d.toLowerCase() === String(params.day || '').toLowerCase().slice(0, 3));
+    const time = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(params.time || ''));
+    if (day === -1 || !time) throw httpError('open=at needs day (mon–sun) and time (HH:MM, 24-hour)', 400);
+    const minutes = Number(time[1]) * 60 + Number(time[2]);
+    isOpen = hours => isOpenOn(hours, day, minutes);
+  }
+  return spot => spot.businessStatus !== CLOSED_PERMANENTLY && isOpen(spot.openingHours) === true;
+}
+
+// Copies of `spots` with `reports` and `confidence` added. Confidence starts
+// from the spot's evidence score and is moved by community reports. Spots
+// without an ID (e.g. an old cached Places response) can't be reported on
+// and get the evidence score alone.
+async function withReports(spots, collection = 'spots') {
+  const summarise = await reportStore.summariser();
+  return spots.map(spot => {
+    const prior = spotEvidenceScore(spot, collection);
+    if (!spot.id) return { ...spot, confidence: prior };
+    const { confidence, ...reports } = summarise(spot.id, prior);
+    return { ...spot, reports, confidence };
+  });
+}
+
+// POST /api/spots/:id/reports
+// Body: { kind: 'serves' | 'not-served' | 'closed' }
+// Returns: { spotId, reports, confidence } (201); 404 for a spot that isn't
+// stored and wasn't in a recent search
+api('post', '/api/spots/:id/reports', {
+  summary: 'Report whether a spot serves gözleme',
+  params:  SPOT_PARAMS,
+  body:    bodySchema({ kind: { type: 'string', enum: REPORT_KINDS } }, ['kind']),
+  status:  201,
+  returns: '{ spotId, reports, confidence }',
+}, async (req, res) => {
   try {
-    const raw  = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(raw);
-    res.json({ spots: data.spots || [], builtAt: data.builtAt || null, totalSpots: data.totalSpots || 0 });
+    const limit = reportLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return sendError(res, 429, 'Too many reports from your connection — please try again later');
+    }
+    if (!(await isKnownSpot(req.params.id))) throw httpError('Spot not found: ' + req.params.id, 404);
+
+    const { confidence, ...reports } = await reportStore.record({ spotId: req.params.id, kind: req.body.kind, ip: req.ip });
+    res.status(201).json({ spotId: req.params.id, reports, confidence });
   } catch (err) {
-    if (err.code === 'ENOENT') return res.json({ spots: [], builtAt: null, totalSpots: 0 });
-    res.status(500).json({ error: 'Failed to load cache: ' + err.message });
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('Report error:', err);
+    sendError(res, 500, 'Could not save your report — please try again later');
   }
 });
 
-// ── Admin — toggle hidden status of a spot ───────────────────────────────────
-// POST /api/admin/toggle
-// Body: { index: number }  (index into cache.json spots array)
-app.post(BASE + '/api/admin/toggle', requireAdminAuth, (req, res) => {
-  const filePath = path.join(__dirname, 'cache.json');
-  const { index } = req.body;
+// ── Admin auth ───────────────────────────────────────────────────────────────
+// Admins sign in with a named account and get a signed session cookie.
+// With no accounts configured every admin route is refused (fail closed).
 
-  if (typeof index !== 'number') {
-    return res.status(400).json({ error: 'index is required' });
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq !== -1 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
   }
+  return null;
+}
+
+function sessionCookie(value, maxAge) {
+  return SESSION_COOKIE + '=' + encodeURIComponent(value) + '; Path=/; HttpOnly; SameSite=Strict; Max-Age=' + maxAge
+    + (process.env.NODE_ENV === 'production' ? '; Secure' : '');
+}
 
+// Sets req.adminUser to the signed-in username so the audit log can record
+// who made each change. Pages redirect to the login form; API calls get 401,
+// or 503 if no admin account has been created yet.
+async function requireAdminAuth(req, res, next) {
   try {
-    const raw  = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(raw);
+    const username = await adminAuth.verify(readCookie(req, SESSION_COOKIE));
+    if (username) {
+      req.adminUser = username;
+      return next();
+    }
 
-    if (!data.spots || index < 0 || index >= data.spots.length) {
-      return res.status(404).json({ error: 'Spot not found at index ' + index });
+    if (!req.path.startsWith(BASE + '/api/')) {
+      return res.redirect(BASE + '/admin/login?next=' + encodeURIComponent(req.originalUrl));
     }
+    if (!(await adminAuth.hasUsers())) {
+      return sendError(res, 503, 'No admin accounts configured — run: node admin-users.js add <username>');
+    }
+    sendError(res, 401, 'Sign in required');
+  } catch (err) {
+    console.error('Admin auth error:', err);
+    sendError(res, 500, 'Admin auth failed: ' + err.message);
+  }
+}
 
-    data.spots[index].hidden = !data.spots[index].hidden;
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+// GET /admin/login
+app.get(BASE + '/admin/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+// POST /api/admin/login
+// Body: { username, password }
+// Returns: { user } and sets the session cookie. 401 on bad credentials,
+// 429 (with Retry-After) after too many failures, 503 if no accounts exist.
+api('post', '/api/admin/login', {
+  summary: 'Sign in as an admin',
+  body:    bodySchema({
+    username: { type: 'string', maxLength: 100 },
+    password: { type: 'string', maxLength: 200 },
+  }, ['username', 'password']),
+  returns: '{ user }, with the session cookie set',
+}, async (req, res) => {
+  try {
+    if (!(await adminAuth.hasUsers())) {
+      return sendError(res, 503, 'No admin accounts configured — run: node admin-users.js add <username>');
+    }
 
-    res.json({ index, hidden: data.spots[index].hidden, name: data.spots[index].name });
+    const { username, password } = req.body;
+    const session = await adminAuth.login(username, password, req.ip);
+    console.log('Admin login: ' + session.username + ' from ' + req.ip);
+    res.set('Set-Cookie', sessionCookie(session.token, adminAuth.sessionSeconds)).json({ user: session.username });
   } catch (err) {
-    if (err.code === 'ENOENT') return res.status(404).json({ error: 'cache.json not found — run cache-builder.js first' });
-    console.error('Admin toggle error:', err);
-    res.status(500).json({ error: 'Failed to update cache: ' + err.message });
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    if (err.status === 401) console.warn('Admin login failed for "' + String((req.body || {}).username || '') + '" from ' + req.ip);
+    sendAdminError(res, err, 'Login');
   }
 });
 
-// ── Admin UI ──────────────────────────────────────────────────────────────────
-// GET /admin — serves the admin interface
-app.get(BASE + '/admin', requireAdminAuth, (req, res) => {
-  res.sendFile(path.join(__dirname, 'admin.html'));
+// POST /api/admin/logout
+api('post', '/api/admin/logout', { summary: 'Sign out', returns: '{ ok }' }, (req, res) => {
+  adminAuth.logout(readCookie(req, SESSION_COOKIE));
+  res.set('Set-Cookie', sessionCookie('', 0)).json({ ok: true });
 });
 
-// ── Curated spots ────────────────────────────────────────────────────────────
-// GET /api/curated
-// Returns manually curated gözleme spots from curated.json.
-// Edit curated.json to add or remove spots — no server restart needed.
-app.get(BASE + '/api/curated', (req, res) => {
-  const filePath = path.join(__dirname, 'curated.json');
+// GET /api/admin/me
+// Returns: { user } — the signed-in admin
+api('get', '/api/admin/me', { summary: 'The signed-in admin', admin: true, returns: '{ user }' }, (req, res) => {
+  res.json({ user: req.adminUser });
+});
+
+// ── Admin — list all cached spots (including hidden) ─────────────────────────
+// GET /api/admin/spots?region=…
+api('get', '/api/admin/spots', {
+  summary: 'Every discovered spot, hidden ones included',
+  admin:   true,
+  query:   objectSchema({ region: REGION }),
+  returns: '{ spots, builtAt, totalSpots }',
+}, async (req, res) => {
   try {
-    const raw  = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(raw);
-    res.json({ spots: data });
+    const data  = await spotStore.read();
+    const spots = inRegionQuery(data.spots, req.query);
+    res.json({ spots: await withReports(spots), builtAt: data.builtAt || null, totalSpots: spots.length });
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      return res.json({ spots: [] }); // file doesn't exist yet — return empty
-    }
-    console.error('Curated spots error:', err);
-    res.status(500).json({ error: 'Failed to load curated spots: ' + err.message });
+    sendAdminError(res, err, 'Load cache');
   }
 });
 
-// ── Geocoding proxy ───────────────────────────────────────────────────────────
-// POST /api/geocode
-// Body: { address: string }
-// Returns: { lat, lng } or error
-app.post(BASE + '/api/geocode', async (req, res) => {
-  const apiKey = GOOGLE_MAPS_KEY;
-  if (!apiKey) {
-    return res.status(400).json({ error: 'GOOGLE_MAPS_KEY not set in .env' });
+// The spots in the region named by ?region=, or all of them when there's none
+function inRegionQuery(spots, query) {
+  if (!query.region) return spots;
+  const region = regionFor(query);
+  return spots.filter(s => regionOf(s) === region.id);
+}
+
+// ── Admin — single spot by ID ────────────────────────────────────────────────
+// Every spot has a `version` that is bumped on each write and sent as the ETag.
+// Edits must send it back (If-Match header, or `version` in the body); if the
+// spot changed since the client loaded it — an admin in another tab, a builder
+// run — the edit is rejected with 412 and the current copy of the spot.
+
+// Schemas for every admin-editable spot field
+const TAG = { type: 'string', maxLength: 40, pattern: '\\S', errorMessage: 'tags must be a list of up to 20 tags of at most 40 characters' };
+
+const SPOT_FIELDS = {
+  name:        { type: 'string', maxLength: 120, pattern: '\\S', errorMessage: 'name must be a non-empty string of at most 120 characters' },
+  address:     { type: 'string', maxLength: 300 },
+  area:        { type: 'string', maxLength: 80 },
+  description: { type: 'string', maxLength: 500 },
+  notes:       { type: 'string', maxLength: 1000 },
+  mapsUrl:     { type: 'string', nullable: true, maxLength: 2000, pattern: '^https://', errorMessage: 'mapsUrl must be an https:// URL or null' },
+  tags:        { type: 'array', maxItems: 20, items: TAG, errorMessage: TAG.errorMessage },
+  lat:         { ...LATITUDE, nullable: true },
+  lng:         { ...LONGITUDE, nullable: true },
+  hidden:      { type: 'boolean' },
+  region:      REGION,
+};
+
+// Fields each admin route may change
+const CACHED_EDITABLE  = ['name', 'address', 'area', 'description', 'mapsUrl', 'tags', 'lat', 'lng', 'hidden', 'region'];
+const CURATED_EDITABLE = ['name', 'address', 'area', 'description', 'notes', 'mapsUrl', 'tags', 'lat', 'lng', 'region'];
+
+// The body schema of an edit to these fields. `version` may stand in for
+// the If-Match header.
+function editSchema(fields, required = []) {
+  const properties = Object.fromEntries(fields.map(f => [f, SPOT_FIELDS[f]]));
+  return bodySchema({ ...properties, version: { type: 'integer', minimum: 0 } }, required);
+}
+
+// Validates the editable fields in `body` and returns them as a changes
+// object. Unknown or invalid fields throw a 400.
+function pickChanges(body, allowed) {
+  const changes = {};
+  for (const [field, value] of Object.entries(body || {})) {
+    if (field === 'version') continue;
+    if (!allowed.includes(field)) throw httpError(field + ' cannot be edited', 400);
+    const problems = validate(SPOT_FIELDS[field], value, field);
+    if (problems.length) throw httpError(problems[0].message, 400);
+    changes[field] = typeof value === 'string' ? value.trim()
+      : field === 'tags' ? value.map(t => t.trim().toLowerCase())
+      : value;
   }
+  return changes;
+}
 
-  const { address } = req.body;
-  if (!address) return res.status(400).json({ error: 'address is required' });
+// Applies changes to the spot in place and returns { before, after } holding
+// only the fields whose value actually changed — the shape stored in the
+// audit log.
+function applyChanges(spot, changes) {
+  const diff = { before: {}, after: {} };
+  for (const [field, value] of Object.entries(changes)) {
+    if (JSON.stringify(spot[field] ?? null) === JSON.stringify(value ?? null)) continue;
+    diff.before[field] = spot[field] ?? null;
+    diff.after[field]  = value;
+    spot[field] = value;
+  }
+  // A new address is worth geocoding again (see locateStoredSpots)
+  if ('address' in diff.after) delete spot.geocodeFailedAt;
+  return diff;
+}
 
+// Appends an admin change to the audit log. The change itself has already
+// been saved, so a logging failure is reported but doesn't fail the request.
+async function audit(req, entry) {
   try {
-    const fetch = (await import('node-fetch')).default;
-    const url = 'https://maps.googleapis.com/maps/api/geocode/json?address='
-      + encodeURIComponent(address)
-      + '&key=' + apiKey;
+    return await auditLog.record({ user: req.adminUser, ...entry });
+  } catch (err) {
+    console.error('Audit log error:', err);
+    return null;
+  }
+}
 
-    const response = await fetch(url);
-    const data = await response.json();
+function spotEtag(spot) {
+  return '"' + spot.version + '"';
+}
 
-    if (data.status !== 'OK' || !data.results.length) {
-      console.warn('Geocode: no result for "' + address + '" (status: ' + data.status + ')');
-      return res.json({ lat: null, lng: null });
-    }
+// Returns the version the client expects to be editing, or '*' for "any".
+// Throws 428 if the client didn't say.
+function expectedVersion(req) {
+  const ifMatch = req.get('If-Match');
+  let expected = null;
+  if (ifMatch) {
+    expected = ifMatch.trim() === '*' ? '*' : parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+  } else if (req.body && req.body.version != null) {
+    expected = parseInt(req.body.version, 10);
+  }
+  if (expected == null || Number.isNaN(expected)) throw httpError('If-Match header (or version) is required', 428);
+  return expected;
+}
+
+// Throws 412 (carrying the current spot) if it has moved past `expected`.
+function checkVersion(spot, expected) {
+  if (expected === '*' || expected === spot.version) return;
+  const err = httpError('Spot has changed since it was loaded (now version ' + spot.version + ')', 412);
+  err.spot = spot;
+  throw err;
+}
+
+// Fills in lat/lng for a create or edit by geocoding the address whenever it
+// changes (or coordinates are cleared) and no coordinates were supplied. An
+// address that can't be placed in the spot's region is rejected (422) so
+// every spot can still be pinned on the map. Runs before taking the store
+// lock so a slow Google call doesn't hold up writers.
+async function locateChanges(changes, current = {}) {
+  const hasLat = Object.prototype.hasOwnProperty.call(changes, 'lat');
+  const hasLng = Object.prototype.hasOwnProperty.call(changes, 'lng');
+  if (hasLat !== hasLng) throw httpError('lat and lng must be supplied together', 400);
+  if (hasLat && changes.lat !== null && changes.lng !== null) return changes;
 
-    const loc = data.results[0].geometry.location;
-    res.json({ lat: loc.lat, lng: loc.lng });
+  const address = changes.address ?? current.address;
+  const addressChanged = changes.address != null && changes.address !== current.address;
+  if (!address || (!addressChanged && !hasLat)) return changes;
+
+  const region = REGIONS.get(changes.region || regionOf(current)) || REGIONS.get(DEFAULT_REGION);
+  let coords = null;
+  try {
+    coords = await geocodeInRegion(address, region);
   } catch (err) {
-    console.error('Geocode proxy error:', err);
-    res.status(502).json({ error: 'Geocode request failed: ' + err.message });
+    throw httpError('Could not geocode address: ' + err.message, 422);
+  }
+  if (!coords) throw httpError('Could not find "' + address + '" in ' + region.name + ' — check the address or enter coordinates', 422);
+  return { ...changes, lat: coords.lat, lng: coords.lng };
+}
+
+// Shared error response for admin spot routes. Errors with a status are
+// client-facing; anything else is logged and reported as a 500. A 412
+// carries the current spot beside the error.
+function sendAdminError(res, err, context) {
+  if (err.status) {
+    if (err.spot) res.set('ETag', spotEtag(err.spot));
+    return sendError(res, err.status, err.message, err.details, { spot: err.spot });
+  }
+  console.error(context + ' error:', err);
+  sendError(res, 500, context + ' failed: ' + err.message);
+}
+
+// GET /api/admin/spots/:id
+api('get', '/api/admin/spots/:id', { summary: 'One discovered spot, with its version as the ETag', admin: true, params: SPOT_PARAMS, returns: '{ spot }' }, async (req, res) => {
+  try {
+    const data = await spotStore.read();
+    const spot = data.spots.find(s => s.id === req.params.id);
+    if (!spot) throw httpError('Spot not found: ' + req.params.id, 404);
+    res.set('ETag', spotEtag(spot)).json({ spot });
+  } catch (err) {
+    sendAdminError(res, err, 'Load spot');
   }
 });
 
+// GET /api/admin/spots/:id/reports
+// Returns: { reports, summary } — one report per voter, newest first
+api('get', '/api/admin/spots/:id/reports', { summary: 'Community reports on a spot', admin: true, params: SPOT_PARAMS, returns: '{ reports, summary }' }, async (req, res) => {
+  try {
+    const [reports, summarise] = await Promise.all([reportStore.list(req.params.id), reportStore.summariser()]);
+    res.json({ reports: reports.map(({ voter, ...r }) => r), summary: summarise(req.params.id) });
+  } catch (err) {
+    sendAdminError(res, err, 'Load reports');
+  }
+});
 
-// ── Reverse geocoding proxy ───────────────────────────────────────────────────
-// POST /api/geocode-reverse
-// Body: { lat, lng }
-// Returns: { label } — a human-readable location name (neighbourhood / postcode)
-app.post(BASE + '/api/geocode-reverse', async (req, res) => {
-  const apiKey = GOOGLE_MAPS_KEY;
-  if (!apiKey) return res.status(400).json({ error: 'GOOGLE_MAPS_KEY not set' });
+// PATCH /api/admin/spots/:id
+// Headers: If-Match: "<version>"   (or `version` in the body)
+// Body: any of { name, address, area, description, mapsUrl, tags, lat, lng, hidden }
+// Returns: { spot } — the updated spot, with its new ETag
+api('patch', '/api/admin/spots/:id', {
+  summary: 'Edit a discovered spot',
+  admin:   true,
+  params:  SPOT_PARAMS,
+  body:    editSchema(CACHED_EDITABLE),
+  returns: '{ spot }',
+}, async (req, res) => {
+  try {
+    const expected = expectedVersion(req);
+    let changes = pickChanges(req.body, CACHED_EDITABLE);
+    if (!Object.keys(changes).length) throw httpError('No changes supplied', 400);
 
-  const { lat, lng } = req.body;
-  if (lat == null || lng == null) return res.status(400).json({ error: 'lat and lng are required' });
+    const current = (await spotStore.read()).spots.find(s => s.id === req.params.id);
+    if (!current) throw httpError('Spot not found: ' + req.params.id, 404);
+    checkVersion(current, expected);
+    changes = await locateChanges(changes, current);
+
+    const { spot, diff } = await spotStore.update(data => {
+      const spot = data.spots.find(s => s.id === req.params.id);
+      if (!spot) throw httpError('Spot not found: ' + req.params.id, 404);
+      checkVersion(spot, expected);
+      const diff = applyChanges(spot, changes);
+      if (Object.keys(diff.after).length) touch(spot);
+      return { spot, diff };
+    });
+
+    if (Object.keys(diff.after).length) {
+      await audit(req, { action: 'update', collection: 'spots', spotId: spot.id, spotName: spot.name, ...diff });
+    }
+    res.set('ETag', spotEtag(spot)).json({ spot });
+  } catch (err) {
+    sendAdminError(res, err, 'Admin update');
+  }
+});
 
+// ── Admin — re-fetch a cached spot from Google ───────────────────────────────
+// POST /api/admin/spots/:id/refresh
+// Looks the spot up by its placeId with Place Details and overwrites rating,
+// reviewCount, priceLevel, opening hours, business status and location with
+// Google's current values — what the background refresh does, on demand.
+// Returns: { spot }
+api('post', '/api/admin/spots/:id/refresh', { summary: 'Re-fetch a spot from Google Place Details', admin: true, params: SPOT_PARAMS, returns: '{ spot }' }, async (req, res) => {
   try {
-    const fetch = (await import('node-fetch')).default;
-    const url = 'https://maps.googleapis.com/maps/api/geocode/json?latlng='
-      + lat + ',' + lng + '&key=' + apiKey;
+    const current = (await spotStore.read()).spots.find(s => s.id === req.params.id);
+    if (!current) throw httpError('Spot not found: ' + req.params.id, 404);
+    if (!current.placeId) throw httpError('"' + current.name + '" has no Google placeId to refresh from', 422);
 
-    const response = await fetch(url);
-    const data = await response.json();
+    const place = await placeDetails(current.placeId, REFRESH_FIELDS);
 
-    if (data.status !== 'OK' || !data.results.length) {
-      return res.json({ label: null });
+    const { spot, diff } = await spotStore.update(data => {
+      const spot = data.spots.find(s => s.id === req.params.id);
+      if (!spot) throw httpError('Spot not found: ' + req.params.id, 404);
+      const diff = applyChanges(spot, refreshChanges(place, spot));
+      spot.refreshedAt = new Date().toISOString();
+      delete spot.refreshError;
+      return { spot: touch(spot), diff };
+    });
+
+    if (Object.keys(diff.after).length) {
+      await audit(req, { action: 'refresh', collection: 'spots', spotId: spot.id, spotName: spot.name, ...diff });
     }
+    res.set('ETag', spotEtag(spot)).json({ spot });
+  } catch (err) {
+    sendAdminError(res, err, 'Refresh');
+  }
+});
 
-    // Prefer a postcode or neighbourhood component over the full address
-    const result = data.results[0];
-    const components = result.address_components || [];
+// ── Admin — promote a cached spot to curated ─────────────────────────────────
+// POST /api/admin/spots/:id/promote
+// Copies the spot onto the end of the curated list. The cached spot is left
+// as-is; the copy records `promotedFrom` so it can't be promoted twice.
+// Returns: { spot } — the new curated spot (201)
+api('post', '/api/admin/spots/:id/promote', { summary: 'Copy a discovered spot to the curated list', admin: true, params: SPOT_PARAMS, status: 201, returns: '{ spot }' }, async (req, res) => {
+  try {
+    const spot = await spotStore.update(data => {
+      const source = data.spots.find(s => s.id === req.params.id);
+      if (!source) throw httpError('Spot not found: ' + req.params.id, 404);
 
-    const postal   = components.find(c => c.types.includes('postal_code'));
-    const neighbourhood = components.find(c =>
-      c.types.includes('neighborhood') || c.types.includes('sublocality_level_1')
-    );
-    const locality = components.find(c => c.types.includes('locality'));
+      const existing = data.curated.find(c =>
+        c.promotedFrom === source.id || (source.placeId && c.placeId === source.placeId)
+      );
+      if (existing) throw httpError('"' + source.name + '" is already curated (' + existing.id + ')', 409);
 
-    const label = (postal && postal.short_name)
-      || (neighbourhood && neighbourhood.long_name)
-      || (locality && locality.long_name)
-      || result.formatted_address;
+      const curated = stampNew({
+        name:         source.name,
+        address:      source.address || '',
+        area:         source.area || '',
+        description:  source.description || '',
+        tags:         source.tags || [],
+        lat:          source.lat ?? null,
+        lng:          source.lng ?? null,
+        rating:       source.rating ?? null,
+        reviewCount:  source.reviewCount ?? null,
+        priceLevel:   source.priceLevel ?? null,
+        mapsUrl:      source.mapsUrl || null,
+        placeId:      source.placeId || null,
+        notes:        '',
+        promotedFrom: source.id,
+      }, 'curated');
+      addEvidence(curated, [
+        ...(source.evidence || inferEvidence(source)),
+        evidenceRecord('curated', 'admin', 'promoted'),
+      ]);
+      data.curated.push(curated);
+      return curated;
+    });
 
-    res.json({ label });
+    await audit(req, { action: 'promote', collection: 'curated', spotId: spot.id, spotName: spot.name, before: null, after: spot });
+    res.status(201).set('ETag', spotEtag(spot)).json({ spot });
   } catch (err) {
-    console.error('Reverse geocode error:', err);
-    res.status(502).json({ error: 'Reverse geocode failed: ' + err.message });
+    sendAdminError(res, err, 'Promote');
   }
 });
 
-// ── Anthropic Claude proxy ────────────────────────────────────────────────────
-// POST /api/claude
-// Body: standard Anthropic messages API payload (minus the api key)
-app.post(BASE + '/api/claude', async (req, res) => {
-  if (!ANTHROPIC_KEY) {
-    return res.status(400).json({ error: 'ANTHROPIC_KEY not set in .env' });
+// ── Admin — duplicate review ─────────────────────────────────────────────────
+// Pairs of discovered spots that lib/entity-match.js judges the same place
+// ('same') or possibly the same ('maybe'). `gozleme dedupe` merges the 'same'
+// ones by itself; here an admin can merge either kind, or mark a pair as
+// different places so it isn't proposed again.
+
+const MERGE_DECISIONS = ['same', 'maybe', 'all'];
+
+// GET /api/admin/merges?decision=same|maybe|all
+// Returns: { pairs } — best first, each { keep, merge, decision, score, reasons }
+// where `keep` is the spot dedupe would keep
+api('get', '/api/admin/merges', {
+  summary: 'Pairs of discovered spots that may be the same place',
+  admin:   true,
+  query:   objectSchema({ decision: { type: 'string', enum: MERGE_DECISIONS } }),
+  returns: '{ pairs }',
+}, async (req, res) => {
+  try {
+    const decision = req.query.decision || 'all';
+
+    // Spots in different cities are never the same place
+    const data  = await spotStore.read();
+    const pairs = [...groupByRegion(data.spots)]
+      .flatMap(([id, spots]) => findDuplicatePairs(spots, matchOptionsFor(id)))
+      .sort((x, y) => y.score - x.score)
+      .filter(p => decision === 'all' || p.decision === decision)
+      .map(({ a, b, ...match }) => {
+        const [keep, merge] = compareSurvivors(a, b) <= 0 ? [a, b] : [b, a];
+        return { keep, merge, ...match };
+      });
+    res.json({ pairs });
+  } catch (err) {
+    sendAdminError(res, err, 'Load duplicates');
   }
+});
 
+// POST /api/admin/merges
+// Body: { keepId, mergeId }
+// Folds spot `mergeId` into `keepId` — filling keepId's blank fields, joining
+// tags and evidence, and recording it in `mergedFrom` — then removes it.
+// Returns: { spot } — the surviving spot
+api('post', '/api/admin/merges', {
+  summary: 'Merge one discovered spot into another',
+  admin:   true,
+  body:    bodySchema({ keepId: SPOT_ID, mergeId: SPOT_ID }, ['keepId', 'mergeId']),
+  returns: '{ spot }',
+}, async (req, res) => {
   try {
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type':      'application/json',
-        'x-api-key':         ANTHROPIC_KEY,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify(req.body),
+    const { keepId, mergeId } = req.body;
+    if (keepId === mergeId) throw httpError('keepId and mergeId must be two different spot IDs', 400);
+
+    const { spot, before } = await spotStore.update(data => {
+      const keep     = data.spots.find(s => s.id === keepId);
+      const position = data.spots.findIndex(s => s.id === mergeId);
+      if (!keep) throw httpError('Spot not found: ' + keepId, 404);
+      if (position === -1) throw httpError('Spot not found: ' + mergeId, 404);
+
+      const before = { keep: JSON.parse(JSON.stringify(keep)), merged: data.spots[position], position };
+      mergeSpotInto(keep, data.spots[position], { by: req.adminUser });
+      data.spots.splice(position, 1);
+      return { spot: touch(keep), before };
     });
 
-    const data = await response.json();
-    res.status(response.status).json(data);
+    await audit(req, { action: 'merge', collection: 'spots', spotId: spot.id, spotName: spot.name, before, after: { keep: spot } });
+    res.set('ETag', spotEtag(spot)).json({ spot });
   } catch (err) {
-    console.error('Claude proxy error:', err);
-    res.status(502).json({ error: 'Claude proxy failed: ' + err.message });
+    sendAdminError(res, err, 'Merge');
   }
 });
 
-// ── Start ─────────────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log('');
-  console.log('  Gozleme Finder proxy running');
+// POST /api/admin/merges/separate
+// Body: { ids: [id, id] }
+// Marks two spots as different places by adding each to the other's
+// `distinctFrom`; dedupe and this review then leave the pair alone.
+// Returns: { spots }
+api('post', '/api/admin/merges/separate', {
+  summary: 'Mark two discovered spots as different places',
+  admin:   true,
+  body:    bodySchema({ ids: { type: 'array', minItems: 2, maxItems: 2, items: SPOT_ID } }, ['ids']),
+  returns: '{ spots }',
+}, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids[0] === ids[1]) throw httpError('ids must be two different spot IDs', 400);
+
+    const changes = await spotStore.update(data => {
+      const spots = ids.map(id => {
+        const spot = data.spots.find(s => s.id === id);
+        if (!spot) throw httpError('Spot not found: ' + id, 404);
+        return spot;
+      });
+      return spots.map((spot, i) => {
+        const diff = applyChanges(spot, { distinctFrom: [...new Set([...(spot.distinctFrom || []), ids[1 - i]])] });
+        if (Object.keys(diff.after).length) touch(spot);
+        return { spot, diff };
+      });
+    });
+
+    for (const { spot, diff } of changes) {
+      if (Object.keys(diff.after).length) {
+        await audit(req, { action: 'update', collection: 'spots', spotId: spot.id, spotName: spot.name, ...diff });
+      }
+    }
+    res.json({ spots: changes.map(c => c.spot) });
+  } catch (err) {
+    sendAdminError(res, err, 'Separate');
+  }
+});
+
+// ── Admin UI ──────────────────────────────────────────────────────────────────
+// GET /admin — serves the admin interface
+app.get(BASE + '/admin', requireAdminAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// ── Curated spots ────────────────────────────────────────────────────────────
+// GET /api/curated
+// Returns manually curated gözleme spots from the spot store, in display order.
+// Admin-only notes are stripped, and spots without coordinates are placed
+// first (see locateStoredSpots). Takes the region and open/day/time filters
+// of /api/search.
+api('get', '/api/curated', {
+  summary: 'Curated spots, in display order',
+  query:   objectSchema({ region: REGION, ...OPEN_FILTER }),
+  returns: '{ spots }',
+}, async (req, res) => {
+  try {
+    const region  = regionFor(req.query);
+    const wanted  = openFilter(req.query, region);
+    await locateStoredSpots(region);
+    const curated = (await readCurated()).filter(s => regionOf(s) === region.id).map(({ notes, ...spot }) => spot);
+    const spots   = withOpenState(await withReports(curated, 'curated'), region);
+    res.json({ spots: wanted ? spots.filter(wanted) : spots });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('Curated spots error:', err);
+    sendError(res, 500, 'Failed to load curated spots: ' + err.message);
+  }
+});
+
+async function readCurated() {
+  return (await spotStore.read()).curated;
+}
+
+// ── Export ───────────────────────────────────────────────────────────────────
+// GET /api/export?format=geojson
+// Discovered and curated spots together, with the same fields in every
+// format, for QGIS, Google My Maps and dashboards — see lib/export.js.
+// Query:
+//   format     — geojson (default), kml, csv or json
+//   source     — ai, places and/or curated, comma-separated
+//   bbox       — minLng,minLat,maxLng,maxLat
+//   minRating  — 0–5; unrated spots are left out
+//   region     — one region's spots (default every region)
+//   visible    — true (default) leaves out hidden and permanently closed
+//                spots; false includes them and needs an admin session
+api('get', '/api/export', {
+  summary: 'Spots as GeoJSON, KML, CSV or JSON',
+  query:   objectSchema({
+    format:    { type: 'string', enum: EXPORT_FORMATS },
+    source:    { type: 'string', maxLength: 40, description: 'ai, places and/or curated, comma-separated' },
+    bbox:      { type: 'string', maxLength: 100, description: 'minLng,minLat,maxLng,maxLat' },
+    minRating: { type: 'number', minimum: 0, maximum: 5 },
+    region:    REGION,
+    visible:   { type: 'boolean', description: 'false includes hidden spots (admins only)' },
+  }),
+  returns: 'The file, inline',
+}, async (req, res) => {
+  const format  = req.query.format || 'geojson';
+  const visible = req.query.visible ?? true;
+
+  try {
+    const filters = parseFilters(req.query);
+    const region  = req.query.region || null;
+    if (!visible && !(await adminAuth.verify(readCookie(req, SESSION_COOKIE)))) {
+      return sendError(res, 403, 'Hidden spots are only exported to signed-in admins');
+    }
+
+    const spots = selectSpots(await spotStore.read(), { ...filters, region, includeHidden: !visible })
+      .filter(s => !visible || s.businessStatus !== CLOSED_PERMANENTLY);
+    const { body, contentType, extension } = exportSpots(spots, format);
+    res.set('Content-Type', contentType)
+      .set('Content-Disposition', 'inline; filename="gozleme-spots.' + extension + '"')
+      .send(body);
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('Export error:', err);
+    sendError(res, 500, 'Export failed: ' + err.message);
+  }
+});
+
+// ── Admin — curated spots CRUD ───────────────────────────────────────────────
+// Curated spots are edited with the same version / If-Match and geocode-on-save
+// rules as cached spots.
+
+// GET /api/admin/curated?region=…
+api('get', '/api/admin/curated', { summary: 'Curated spots, admin notes included', admin: true, query: objectSchema({ region: REGION }), returns: '{ spots }' }, async (req, res) => {
+  try {
+    res.json({ spots: inRegionQuery(await readCurated(), req.query) });
+  } catch (err) {
+    sendAdminError(res, err, 'Load curated');
+  }
+});
+
+// POST /api/admin/curated
+// Body: { name, address?, area?, description?, notes?, mapsUrl?, tags?, lat?, lng? }
+// Returns: { spot } — the new curated spot, appended to the end of the list (201)
+api('post', '/api/admin/curated', {
+  summary: 'Add a curated spot',
+  admin:   true,
+  body:    editSchema(CURATED_EDITABLE, ['name']),
+  status:  201,
+  returns: '{ spot }',
+}, async (req, res) => {
+  try {
+    let changes = pickChanges(req.body, CURATED_EDITABLE);
+    if (!changes.name) throw httpError('name is required', 400);
+    changes = await locateChanges(changes);
+
+    const spot = await spotStore.update(data => {
+      const spot = newCuratedSpot(changes);
+      data.curated.push(spot);
+      return spot;
+    });
+
+    await audit(req, { action: 'create', collection: 'curated', spotId: spot.id, spotName: spot.name, before: null, after: spot });
+    res.status(201).set('ETag', spotEtag(spot)).json({ spot });
+  } catch (err) {
+    sendAdminError(res, err, 'Create curated');
+  }
+});
+
+// A new curated spot with every field present, from validated changes.
+// `reason` is recorded with its curated evidence.
+function newCuratedSpot(changes, reason = changes.suggestionId ? 'approved suggestion' : 'added by admin') {
+  const spot = stampNew({
+    name: '', address: '', area: '', description: '', notes: '', tags: [], region: DEFAULT_REGION,
+    lat: null, lng: null, rating: null, reviewCount: null, priceLevel: null, mapsUrl: null,
+    ...changes,
+  }, 'curated');
+  if (!spot.area) spot.area = extractArea(spot.address);
+  addEvidence(spot, [evidenceRecord('curated', 'admin', reason)]);
+  return spot;
+}
+
+// PATCH /api/admin/curated/:id
+// Headers: If-Match: "<version>"   (or `version` in the body)
+// Body: any of the fields accepted by POST
+// Returns: { spot }
+api('patch', '/api/admin/curated/:id', {
+  summary: 'Edit a curated spot',
+  admin:   true,
+  params:  SPOT_PARAMS,
+  body:    editSchema(CURATED_EDITABLE),
+  returns: '{ spot }',
+}, async (req, res) => {
+  try {
+    const expected = expectedVersion(req);
+    let changes = pickChanges(req.body, CURATED_EDITABLE);
+    if (!Object.keys(changes).length) throw httpError('No changes supplied', 400);
+
+    const current = (await readCurated()).find(s => s.id === req.params.id);
+    if (!current) throw httpError('Curated spot not found: ' + req.params.id, 404);
+    checkVersion(current, expected);
+    changes = await locateChanges(changes, current);
+
+    const { spot, diff } = await spotStore.update(data => {
+      const spot = data.curated.find(s => s.id === req.params.id);
+      if (!spot) throw httpError('Curated spot not found: ' + req.params.id, 404);
+      checkVersion(spot, expected);
+      const diff = applyChanges(spot, changes);
+      if (Object.keys(diff.after).length) touch(spot);
+      return { spot, diff };
+    });
+
+    if (Object.keys(diff.after).length) {
+      await audit(req, { action: 'update', collection: 'curated', spotId: spot.id, spotName: spot.name, ...diff });
+    }
+    res.set('ETag', spotEtag(spot)).json({ spot });
+  } catch (err) {
+    sendAdminError(res, err, 'Update curated');
+  }
+});
+
+// DELETE /api/admin/curated/:id
+// Headers: If-Match: "<version>"
+// Returns: { deleted: id }
+api('delete', '/api/admin/curated/:id', { summary: 'Delete a curated spot', admin: true, params: SPOT_PARAMS, returns: '{ deleted }' }, async (req, res) => {
+  try {
+    const expected = expectedVersion(req);
+
+    const { spot, position } = await spotStore.update(data => {
+      const position = data.curated.findIndex(s => s.id === req.params.id);
+      if (position === -1) throw httpError('Curated spot not found: ' + req.params.id, 404);
+      checkVersion(data.curated[position], expected);
+      const [spot] = data.curated.splice(position, 1);
+      return { spot, position };
+    });
+
+    await audit(req, { action: 'delete', collection: 'curated', spotId: spot.id, spotName: spot.name, before: spot, after: null, position });
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    sendAdminError(res, err, 'Delete curated');
+  }
+});
+
+// PUT /api/admin/curated/order
+// Body: { ids: [...] } — every curated spot ID, in the new display order
+// Returns: { spots } — the reordered list
+// A list that doesn't match the current set of IDs (someone added or removed
+// a spot meanwhile) is rejected with 409.
+api('put', '/api/admin/curated/order', {
+  summary: 'Reorder the curated list',
+  admin:   true,
+  body:    bodySchema({ ids: { type: 'array', maxItems: 5000, items: SPOT_ID } }, ['ids']),
+  returns: '{ spots }',
+}, async (req, res) => {
+  const { ids } = req.body;
+
+  try {
+    const { spots, before } = await spotStore.update(data => {
+      const before = data.curated.map(s => s.id);
+      reorderCurated(data, ids);
+      return { spots: data.curated, before };
+    });
+
+    if (before.join() !== ids.join()) {
+      await audit(req, { action: 'reorder', collection: 'curated', spotId: null, spotName: null, before: { ids: before }, after: { ids } });
+    }
+    res.json({ spots });
+  } catch (err) {
+    sendAdminError(res, err, 'Reorder curated');
+  }
+});
+
+// Puts data.curated into the order given by `ids`, which must name every
+// curated spot exactly once.
+function reorderCurated(data, ids) {
+  const byId = new Map(data.curated.map(s => [s.id, s]));
+  if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+    throw httpError('Curated list has changed since it was loaded — reload and try again', 409);
+  }
+  data.curated = ids.map(id => byId.get(id));
+}
+
+// ── Admin — bulk import ──────────────────────────────────────────────────────
+// Stall lists from markets and food festivals come in as CSV or GeoJSON
+// (see lib/spot-import.js) and are added to the curated list. The same route
+// previews an import and, with `confirm: true`, commits it; nothing is
+// stored until an admin has seen the preview.
+//
+// A preview's validated and geocoded rows are kept for IMPORT_PREVIEW_TTL
+// under a hash of the upload — its content, format, column mapping and
+// region — which the preview returns as `preview`. A confirm commits those
+// rows as they were shown instead of parsing and geocoding the file again,
+// and is refused (409) when its upload no longer hashes to `preview`.
+// The hashes of confirmed previews are remembered, so confirming one again
+// (a double click, a retried request) says it was already imported rather
+// than that it expired; previewing the file again allows another import.
+// Previews are held in memory, so a restart means previewing again.
+
+const IMPORT_MAX_ROWS      = 500;
+const IMPORT_PREVIEW_TTL   = 30 * 60 * 1000;
+const IMPORT_PREVIEW_MAX   = 20;
+const IMPORT_CONFIRMED_MAX = 100;
+const importPreviews       = new Map();   // hash → { rows, expires }, oldest first
+const importConfirmed      = new Set();   // hashes of confirmed previews, oldest first
+
+function importHash(file, content, region) {
+  return crypto.createHash('sha256').update(JSON.stringify([content, file.format, file.mapping, region.id])).digest('hex');
+}
+
+// The preview stored under `hash`, or null once it has expired
+function storedPreview(hash, now = Date.now()) {
+  for (const [key, preview] of importPreviews) {
+    if (preview.expires <= now) importPreviews.delete(key);
+  }
+  return importPreviews.get(hash) || null;
+}
+
+// Validates and geocodes an upload's rows, one at a time to go easy on the
+// geocoder, and keeps them for the confirm. A preview of the same upload
+// (with other rows skipped, say) reuses them.
+async function previewRows(hash, file, region) {
+  const stored = storedPreview(hash);
+  if (stored) return stored.rows;
+
+  const rows = [];
+  for (const row of file.rows) rows.push(await importRow(row, region));
+  importConfirmed.delete(hash);
+  importPreviews.delete(hash);
+  importPreviews.set(hash, { rows, expires: Date.now() + IMPORT_PREVIEW_TTL });
+  while (importPreviews.size > IMPORT_PREVIEW_MAX) importPreviews.delete(importPreviews.keys().next().value);
+  return rows;
+}
+
+// POST /api/admin/import
+// Body: { content, filename?, format?: 'csv' | 'geojson', mapping?: { column: field },
+//         region?, skip?: [row numbers], confirm?: true, preview? }
+// Returns: { format, columns, mapping, fields, rows, counts, imported, preview }
+//   rows:   [{ row, spot, errors, warnings, duplicate, action: 'add' | 'skip' | 'error' }]
+//   counts: { add, skip, error }
+// Rows without coordinates are geocoded from their address in their region
+// (`region` is the default for rows that don't name one). A row is added
+// unless it has errors, is in `skip`, or is the same place as an existing
+// spot or an earlier row; possible duplicates are shown but still added.
+// `imported` is the number of spots added — always 0 without `confirm`.
+// A confirm sends the same upload with the `preview` its preview returned.
+api('post', '/api/admin/import', {
+  summary: 'Preview or import curated spots from a CSV or GeoJSON file',
+  admin:   true,
+  body:    bodySchema({
+    content:  { type: 'string', minLength: 1, maxLength: 2000000 },
+    filename: { type: 'string', maxLength: 200 },
+    format:   { type: 'string', enum: IMPORT_FORMATS },
+    mapping:  {
+      type:                 'object',
+      additionalProperties: { type: 'string', nullable: true, enum: ['', ...IMPORT_FIELDS], errorMessage: 'mapping must give each column a spot field (' + IMPORT_FIELDS.join(', ') + ') or ""' },
+    },
+    region:   REGION,
+    skip:     { type: 'array', maxItems: IMPORT_MAX_ROWS, items: { type: 'integer', minimum: 1 } },
+    confirm:  { type: 'boolean' },
+    preview:  { type: 'string', maxLength: 64 },
+  }, ['content']),
+  returns: '{ format, columns, mapping, fields, rows, counts, imported, preview }',
+}, async (req, res) => {
+  try {
+    const body   = req.body;
+    const skip   = body.skip ?? [];
+    const region = regionFor(body);
+
+    const file = readImport(body);
+    if (!file.rows.length) throw httpError('The file has no spots in it', 400);
+    if (file.rows.length > IMPORT_MAX_ROWS) throw httpError('Import at most ' + IMPORT_MAX_ROWS + ' spots at a time — split the file', 400);
+
+    const hash = importHash(file, body.content, region);
+    let stored = null;
+    if (body.confirm) {
+      if (!body.preview) throw httpError('Preview the import first — confirm with the preview it returns', 400);
+      if (body.preview !== hash) throw httpError('The file, its columns or its region have changed since the preview — preview it again', 409);
+      if (importConfirmed.has(hash)) throw httpError('This file has already been imported', 409);
+      stored = storedPreview(hash);
+      if (!stored) throw httpError('The preview has expired — preview the file again', 409);
+      // Claimed before anything is awaited, so a second confirm of the same
+      // upload can't import it twice
+      importPreviews.delete(hash);
+      importConfirmed.add(hash);
+      while (importConfirmed.size > IMPORT_CONFIRMED_MAX) importConfirmed.delete(importConfirmed.values().next().value);
+    }
+
+    const rows    = stored ? stored.rows : await previewRows(hash, file, region);
+    const source  = String(body.filename || 'import').slice(0, 200);
+    let outcome;
+    try {
+      outcome = body.confirm
+        ? await spotStore.update(data => {
+          const plan    = planImport(data, rows, skip, region);
+          const created = plan.filter(r => r.action === 'add').map(r => newCuratedSpot(r.spot, 'imported from ' + source));
+          data.curated.push(...created);
+          return { plan, created };
+        })
+        : { plan: planImport(await spotStore.read(), rows, skip, region), created: [] };
+    } catch (err) {
+      // Nothing was imported, so the preview can still be confirmed
+      if (stored) {
+        importConfirmed.delete(hash);
+        importPreviews.set(hash, stored);
+      }
+      throw err;
+    }
+
+    for (const spot of outcome.created) {
+      await audit(req, { action: 'create', collection: 'curated', spotId: spot.id, spotName: spot.name, before: null, after: spot, importedFrom: source });
+    }
+    if (outcome.created.length) console.log('Import: ' + outcome.created.length + ' curated spots from ' + source + ' by ' + req.adminUser);
+
+    const counts = { add: 0, skip: 0, error: 0 };
+    for (const r of outcome.plan) counts[r.action]++;
+    res.json({
+      format:   file.format,
+      columns:  file.columns,
+      mapping:  file.mapping,
+      fields:   IMPORT_FIELDS,
+      rows:     outcome.plan,
+      counts,
+      imported: outcome.created.length,
+      preview:  body.confirm ? null : hash,
+    });
+  } catch (err) {
+    sendAdminError(res, err, 'Import');
+  }
+});
+
+// Validates one imported row with the rules of a hand-made curated spot and
+// geocodes it if it has no coordinates. Returns { row, spot, errors,
+// warnings } — every problem is collected rather than the first thrown.
+async function importRow({ row, fields }, defaultRegion) {
+  const errors   = [];
+  const warnings = [];
+  let spot = {};
+  for (const [field, value] of Object.entries(fields)) {
+    try {
+      Object.assign(spot, pickChanges({ [field]: value }, CURATED_EDITABLE));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (!spot.name && !fields.name) errors.push('name is required');
+  if (!spot.region) spot.region = defaultRegion.id;
+  if (errors.length) return { row, spot, errors, warnings };
+
+  const region = REGIONS.get(spot.region);
+  try {
+    spot = await locateChanges(spot);
+  } catch (err) {
+    errors.push(err.message);
+  }
+  if (!errors.length && spot.lat == null) errors.push('needs an address or coordinates');
+  if (!errors.length && !inBoundary(region, spot.lat, spot.lng)) warnings.push('coordinates are outside ' + region.name);
+  return { row, spot, errors, warnings };
+}
+
+// Decides what happens to each validated row against the store as it is
+// now: rows with errors or listed in `skip` are left out, and so is a row
+// that is the same place as a stored spot in `region` or an earlier row
+// being added.
+function planImport(data, rows, skip, region) {
+  const index = createSpotIndex([
+    ...data.curated.map(s => ({ ...s, collection: 'curated' })),
+    ...data.spots.map(s => ({ ...s, collection: 'spots' })),
+  ].filter(s => regionOf(s) === region.id), matchOptionsFor(region.id));
+
+  return rows.map(r => {
+    if (r.errors.length) return { ...r, duplicate: null, action: 'error' };
+
+    const match     = index.bestMatch(r.spot, { min: 'maybe' });
+    const duplicate = match && {
+      id:         match.spot.id || null,
+      collection: match.spot.collection,
+      row:        match.spot.importRow || null,
+      name:       match.spot.name,
+      address:    match.spot.address || '',
+      decision:   match.decision,
+      score:      match.score,
+      reasons:    match.reasons,
+    };
+    const action = skip.includes(r.row) || (match && match.decision === 'same') ? 'skip' : 'add';
+    if (action === 'add') index.add({ ...r.spot, collection: 'import', importRow: r.row });
+    return { ...r, duplicate, action };
+  });
+}
+
+// ── Admin — audit log and undo ───────────────────────────────────────────────
+// Every admin change is recorded with the fields it changed, so it can be
+// reviewed and reverted later. Undo refuses (409) when the spot has been
+// changed again since — it never silently overwrites a later edit.
+
+// GET /api/admin/audit?spotId=&user=&action=&collection=&since=&until=&q=&limit=&offset=
+// `since` and `until` take an ISO timestamp or a date, which covers the whole day.
+// Returns: { entries, total } — newest first
+const AUDIT_FILTERS = ['spotId', 'user', 'action', 'collection', 'since', 'until', 'q'];
+const AUDIT_TIME    = '^\\s*\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?\\s*$';
+const auditTime     = key => ({ type: 'string', pattern: AUDIT_TIME, errorMessage: key + ' must be a date (2026-10-19) or an ISO timestamp' });
+
+api('get', '/api/admin/audit', {
+  summary: 'The audit log of admin changes',
+  admin:   true,
+  query:   objectSchema({
+    ...Object.fromEntries(AUDIT_FILTERS.map(key => [key, { type: 'string', maxLength: 200 }])),
+    since:  auditTime('since'),
+    until:  auditTime('until'),
+    limit:  { type: 'integer', minimum: 1, maximum: 500 },
+    offset: { type: 'integer', minimum: 0 },
+  }),
+  returns: '{ entries, total }',
+}, async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of AUDIT_FILTERS) {
+      if (req.query[key] && req.query[key].trim()) filter[key] = req.query[key].trim();
+    }
+    filter.limit  = req.query.limit ?? 100;
+    filter.offset = req.query.offset ?? 0;
+    res.json(await auditLog.list(filter));
+  } catch (err) {
+    sendAdminError(res, err, 'Audit log');
+  }
+});
+
+// POST /api/admin/audit/:id/undo
+// Returns: { entry, spot? } — the new audit entry recording the undo
+api('post', '/api/admin/audit/:id/undo', { summary: 'Undo an audited change', admin: true, params: ID_PARAMS, returns: '{ entry, spot }' }, async (req, res) => {
+  try {
+    const original = await auditLog.get(req.params.id);
+    if (!original) throw httpError('Audit entry not found: ' + req.params.id, 404);
+    if (original.undoneBy) throw httpError('This change has already been undone', 409);
+
+    const { spot, ...effect } = await spotStore.update(data => undoChange(data, original));
+    const entry = await audit(req, {
+      collection: original.collection,
+      spotId:     original.spotId,
+      spotName:   original.spotName,
+      ...effect,
+      undoOf:     original.id,
+    });
+
+    res.json({ entry, spot: spot || null });
+  } catch (err) {
+    sendAdminError(res, err, 'Undo');
+  }
+});
+
+// Reverts one audit entry against the store data. Returns the fields of the
+// audit entry describing the undo, plus the affected spot.
+function undoChange(data, entry) {
+  const list    = entry.collection === 'curated' ? data.curated : data.spots;
+  const changed = () => httpError('"' + (entry.spotName || 'The curated list') + '" has changed since — undo it by hand', 409);
+  const same    = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  switch (entry.action) {
+    case 'update':
+    case 'refresh': {
+      const spot = list.find(s => s.id === entry.spotId);
+      if (!spot) throw httpError('Spot no longer exists: ' + entry.spotId, 409);
+      if (!Object.keys(entry.after).every(field => same(spot[field], entry.after[field]))) throw changed();
+      const diff = applyChanges(spot, entry.before);
+      touch(spot);
+      return { action: entry.action, ...diff, spot };
+    }
+
+    case 'create':
+    case 'promote': {
+      const position = list.findIndex(s => s.id === entry.spotId);
+      if (position === -1) throw httpError('Spot no longer exists: ' + entry.spotId, 409);
+      if (list[position].version !== entry.after.version) throw changed();
+      const [spot] = list.splice(position, 1);
+      return { action: 'delete', before: spot, after: null, position, spot };
+    }
+
+    case 'delete': {
+      if (list.some(s => s.id === entry.spotId)) throw httpError('A spot with ID ' + entry.spotId + ' already exists', 409);
+      const spot = entry.before;
+      list.splice(Math.min(entry.position ?? list.length, list.length), 0, spot);
+      return { action: 'create', before: null, after: spot, spot };
+    }
+
+    // A merge is stored as { keep, merged, position } before and { keep }
+    // after; undoing it restores both spots as they were, and an unmerge
+    // keeps the same shapes the other way round.
+    case 'merge': {
+      const position = list.findIndex(s => s.id === entry.spotId);
+      if (position === -1) throw httpError('Spot no longer exists: ' + entry.spotId, 409);
+      if (list[position].version !== entry.after.keep.version) throw changed();
+      const { merged } = entry.before;
+      if (list.some(s => s.id === merged.id)) throw httpError('A spot with ID ' + merged.id + ' already exists', 409);
+
+      const spot = touch({ ...entry.before.keep, version: list[position].version });
+      list[position] = spot;
+      list.splice(Math.min(entry.before.position ?? list.length, list.length), 0, merged);
+      return { action: 'unmerge', before: entry.after, after: { keep: spot, merged, position: entry.before.position }, spot };
+    }
+
+    case 'unmerge': {
+      const current  = list.find(s => s.id === entry.spotId);
+      const position = list.findIndex(s => s.id === entry.after.merged.id);
+      if (!current) throw httpError('Spot no longer exists: ' + entry.spotId, 409);
+      if (position === -1) throw httpError('Spot no longer exists: ' + entry.after.merged.id, 409);
+      if (current.version !== entry.after.keep.version || list[position].version !== entry.after.merged.version) throw changed();
+
+      const before = { keep: current, merged: list[position], position };
+      list.splice(position, 1);
+      const spot = touch({ ...entry.before.keep, version: current.version });
+      list[list.indexOf(current)] = spot;
+      return { action: 'merge', before, after: { keep: spot }, spot };
+    }
+
+    case 'reorder': {
+      if (!same(data.curated.map(s => s.id), entry.after.ids)) throw changed();
+      reorderCurated(data, entry.before.ids);
+      return { action: 'reorder', before: entry.after, after: entry.before };
+    }
+
+    default:
+      throw httpError('Cannot undo a ' + entry.action + ' entry', 400);
+  }
+}
+
+// ── Spot suggestions ─────────────────────────────────────────────────────────
+// Visitors can suggest a spot; suggestions wait in the spot store until an
+// admin approves (adds to curated), merges into an existing spot, or rejects
+// them. Spam protection: a hidden honeypot field, a minimum time to fill in
+// the form, a link limit, a per-IP rate limit and a cap on the pending queue.
+
+const SUGGESTION_MAX_PENDING = envInt('SUGGESTION_MAX_PENDING', 200);
+const SUGGESTION_MIN_FILL_MS = 3000;
+const suggestionLimiter = createRateLimiter({
+  limit:    envInt('SUGGESTION_RATE_LIMIT', 5),
+  windowMs: 3600 * 1000,
+});
+
+// Visitors read these messages, so each field has its own
+const SUGGESTION_FIELDS = {
+  name:        { type: 'string', maxLength: 120, pattern: '\\S', errorMessage: 'Please give the name of the place (up to 120 characters)' },
+  address:     { type: 'string', maxLength: 300, pattern: '\\S', errorMessage: 'Please give an address or postcode (up to 300 characters)' },
+  region:      REGION,
+  description: { type: 'string', nullable: true, maxLength: 500, errorMessage: 'Keep the description under 500 characters' },
+  mapsUrl:     { type: 'string', nullable: true, maxLength: 2000, pattern: '^(https://|$)', errorMessage: 'The map link must start with https://' },
+  website:     { type: 'string', maxLength: 2000 },
+  elapsedMs:   { type: 'number' },
+};
+
+const SUGGESTION_THANKS = 'Thanks! Your suggestion will be checked before it appears on the map.';
+
+// POST /api/suggestions
+// Body: { name, address, region?, description?, mapsUrl?, website?, elapsedMs? }
+//   website   — honeypot, must be empty
+//   elapsedMs — time the form was open, so instant bot submissions can be dropped
+// Returns: { ok, message } (201). Trapped spam gets the same response but isn't stored.
+api('post', '/api/suggestions', {
+  summary: 'Suggest a spot for the admins to check',
+  body:    bodySchema(SUGGESTION_FIELDS, ['name', 'address']),
+  status:  201,
+  returns: '{ ok, message }',
+}, async (req, res) => {
+  try {
+    const limit = suggestionLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return sendError(res, 429, 'Too many suggestions from your connection — please try again later');
+    }
+
+    const body   = req.body;
+    const region      = regionFor(body);
+    const description = (body.description || '').trim();
+    if ((description.match(/https?:\/\/|www\./gi) || []).length > 1) {
+      throw httpError('Please leave links out of the description', 400);
+    }
+
+    const isBot = !!body.website || (typeof body.elapsedMs === 'number' && body.elapsedMs < SUGGESTION_MIN_FILL_MS);
+    if (isBot) {
+      console.warn('Suggestion dropped as spam from ' + req.ip);
+      return res.status(201).json({ ok: true, message: SUGGESTION_THANKS });
+    }
+
+    const suggestion = {
+      id:          generateId('sug'),
+      name:        body.name.trim(),
+      address:     body.address.trim(),
+      description,
+      mapsUrl:     (body.mapsUrl || '').trim() || null,
+      region:      region.id,
+      status:      'pending',
+      createdAt:   new Date().toISOString(),
+    };
+
+    await spotStore.update(data => {
+      const pending = data.suggestions.filter(s => s.status === 'pending');
+      // Same place already waiting — nothing more to add
+      if (pending.some(s => regionOf(s) === region.id && matchSpots(s, suggestion, matchOptionsFor(region.id)).decision === 'same')) return;
+      if (pending.length >= SUGGESTION_MAX_PENDING) {
+        throw httpError('We have a lot of suggestions to get through — please try again in a few days', 503);
+      }
+      data.suggestions.push(suggestion);
+    });
+
+    res.status(201).json({ ok: true, message: SUGGESTION_THANKS });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('Suggestion error:', err);
+    sendError(res, 500, 'Could not save your suggestion — please try again later');
+  }
+});
+
+// ── Admin — moderate suggestions ─────────────────────────────────────────────
+
+const SUGGESTION_STATUSES = ['pending', 'approved', 'merged', 'rejected', 'all'];
+
+// Existing spots in the suggestion's region that may be the place
+// suggested — likely merge targets, best match first
+function suggestionMatches(data, suggestion) {
+  const id      = regionOf(suggestion);
+  const options = matchOptionsFor(id);
+  const index   = createSpotIndex([
+    ...data.curated.map(s => ({ ...s, collection: 'curated' })),
+    ...data.spots.map(s => ({ ...s, collection: 'spots' })),
+  ].filter(s => regionOf(s) === id), options);
+  return index.candidates(suggestion)
+    .map(s => ({ spot: s, ...matchSpots(suggestion, s, options) }))
+    .filter(m => m.decision !== 'different')
+    .sort((a, b) => b.score - a.score)
+    .map(({ spot: s, decision, score, reasons }) => ({
+      id: s.id, collection: s.collection, name: s.name, address: s.address || '', decision, score, reasons,
+    }));
+}
+
+// Finds a pending suggestion in store data, or throws 404 / 409
+function pendingSuggestion(data, id) {
+  const suggestion = data.suggestions.find(s => s.id === id);
+  if (!suggestion) throw httpError('Suggestion not found: ' + id, 404);
+  if (suggestion.status !== 'pending') throw httpError('Suggestion has already been ' + suggestion.status, 409);
+  return suggestion;
+}
+
+function resolveSuggestion(suggestion, req, status, extra) {
+  Object.assign(suggestion, { status, reviewedBy: req.adminUser, reviewedAt: new Date().toISOString(), ...extra });
+}
+
+// GET /api/admin/suggestions?status=pending|approved|merged|rejected|all&region=…
+// Returns: { suggestions, counts } — newest first; pending ones include `matches`
+api('get', '/api/admin/suggestions', {
+  summary: 'Visitor suggestions, with likely matches for pending ones',
+  admin:   true,
+  query:   objectSchema({ status: { type: 'string', enum: SUGGESTION_STATUSES }, region: REGION }),
+  returns: '{ suggestions, counts }',
+}, async (req, res) => {
+  try {
+    const data    = await spotStore.read();
+    const inScope = inRegionQuery(data.suggestions, req.query);
+    const status  = req.query.status || 'pending';
+    const counts  = { pending: 0, approved: 0, merged: 0, rejected: 0 };
+    for (const s of inScope) counts[s.status] = (counts[s.status] || 0) + 1;
+
+    const suggestions = inScope
+      .filter(s => status === 'all' || s.status === status)
+      .reverse()
+      .map(s => (s.status === 'pending' ? { ...s, matches: suggestionMatches(data, s) } : s));
+
+    res.json({ suggestions, counts });
+  } catch (err) {
+    sendAdminError(res, err, 'Load suggestions');
+  }
+});
+
+// POST /api/admin/suggestions/:id/approve
+// Body: optional curated fields overriding the suggestion (name, address, area, tags, notes…)
+// Returns: { spot, suggestion } — the new curated spot (201). The address is
+// geocoded unless lat/lng are given; 422 if it can't be found.
+api('post', '/api/admin/suggestions/:id/approve', {
+  summary: 'Add a suggestion to the curated list',
+  admin:   true,
+  params:  ID_PARAMS,
+  body:    editSchema(CURATED_EDITABLE),
+  status:  201,
+  returns: '{ spot, suggestion }',
+}, async (req, res) => {
+  try {
+    const current = pendingSuggestion(await spotStore.read(), req.params.id);
+    const { name, address, description, mapsUrl } = current;
+    let changes = pickChanges({ name, address, description, mapsUrl, ...(current.region ? { region: current.region } : {}), ...req.body }, CURATED_EDITABLE);
+    changes = await locateChanges(changes);
+
+    const { spot, suggestion } = await spotStore.update(data => {
+      const suggestion = pendingSuggestion(data, req.params.id);
+      const spot = newCuratedSpot({ ...changes, suggestionId: suggestion.id });
+      data.curated.push(spot);
+      resolveSuggestion(suggestion, req, 'approved', { spotId: spot.id, collection: 'curated' });
+      return { spot, suggestion };
+    });
+
+    await audit(req, { action: 'create', collection: 'curated', spotId: spot.id, spotName: spot.name, before: null, after: spot, suggestionId: suggestion.id });
+    res.status(201).set('ETag', spotEtag(spot)).json({ spot, suggestion });
+  } catch (err) {
+    sendAdminError(res, err, 'Approve suggestion');
+  }
+});
+
+// POST /api/admin/suggestions/:id/merge
+// Body: { spotId } — an existing cached or curated spot
+// Fills in the spot's blank address, description and map link from the
+// suggestion; fields that are already set are left alone.
+// Returns: { spot, suggestion }
+api('post', '/api/admin/suggestions/:id/merge', {
+  summary: 'Fill in an existing spot from a suggestion',
+  admin:   true,
+  params:  ID_PARAMS,
+  body:    bodySchema({ spotId: SPOT_ID }, ['spotId']),
+  returns: '{ spot, suggestion }',
+}, async (req, res) => {
+  try {
+    const { spotId } = req.body;
+
+    const { spot, suggestion, collection, diff } = await spotStore.update(data => {
+      const suggestion = pendingSuggestion(data, req.params.id);
+      const collection = data.curated.some(s => s.id === spotId) ? 'curated' : 'spots';
+      const spot = data[collection].find(s => s.id === spotId);
+      if (!spot) throw httpError('Spot not found: ' + spotId, 404);
+
+      const fill = {};
+      for (const field of ['address', 'description', 'mapsUrl']) {
+        if (!spot[field] && suggestion[field]) fill[field] = suggestion[field];
+      }
+      const diff = applyChanges(spot, fill);
+      if (Object.keys(diff.after).length) touch(spot);
+      resolveSuggestion(suggestion, req, 'merged', { spotId: spot.id, collection });
+      return { spot, suggestion, collection, diff };
+    });
+
+    if (Object.keys(diff.after).length) {
+      await audit(req, { action: 'update', collection, spotId: spot.id, spotName: spot.name, ...diff, suggestionId: suggestion.id });
+    }
+    res.set('ETag', spotEtag(spot)).json({ spot, suggestion });
+  } catch (err) {
+    sendAdminError(res, err, 'Merge suggestion');
+  }
+});
+
+// POST /api/admin/suggestions/:id/reject
+// Body: { reason? }
+// Returns: { suggestion }
+api('post', '/api/admin/suggestions/:id/reject', {
+  summary: 'Reject a suggestion',
+  admin:   true,
+  params:  ID_PARAMS,
+  body:    bodySchema({ reason: { type: 'string', nullable: true, maxLength: 300 } }),
+  returns: '{ suggestion }',
+}, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const suggestion = await spotStore.update(data => {
+      const suggestion = pendingSuggestion(data, req.params.id);
+      resolveSuggestion(suggestion, req, 'rejected', { reason: (reason || '').trim() || null });
+      return suggestion;
+    });
+
+    res.json({ suggestion });
+  } catch (err) {
+    sendAdminError(res, err, 'Reject suggestion');
+  }
+});
+
+// ── Geocoding proxy ───────────────────────────────────────────────────────────
+// POST /api/geocode
+// Body: { address: string, region? }
+// Returns: { lat, lng } or error. With `region`, a place outside the region
+// comes back as { lat: null, lng: null }.
+api('post', '/api/geocode', {
+  summary:   'Coordinates for an address or postcode',
+  rateLimit: 'geocode',
+  body:      bodySchema({ address: { type: 'string', minLength: 1, maxLength: 300 }, region: { ...REGION, nullable: true } }, ['address']),
+  returns:   '{ lat, lng }, null for both when there is no match',
+}, async (req, res) => {
+  const { address } = req.body;
+  if (!geocoder.names.length) return sendError(res, 400, 'No geocoder configured — set GOOGLE_MAPS_KEY or POSTCODES_FILE in .env');
+  const region = req.body.region ? REGIONS.get(req.body.region) : null;
+
+  try {
+    const coords = region ? await geocodeInRegion(address, region) : await geocodeAddress(address);
+    res.json(coords || { lat: null, lng: null });
+  } catch (err) {
+    if (err.status) {
+      console.warn('Geocode: no result for "' + address + '" (' + err.message + ')');
+      return res.json({ lat: null, lng: null });
+    }
+    console.error('Geocode proxy error:', err);
+    sendError(res, 502, 'Geocode request failed: ' + err.message);
+  }
+});
+
+
+// ── Reverse geocoding proxy ───────────────────────────────────────────────────
+// POST /api/geocode-reverse
+// Body: { lat, lng }
+// Returns: { label } — a human-readable location name (neighbourhood / postcode)
+api('post', '/api/geocode-reverse', {
+  summary:   'A place name for coordinates',
+  rateLimit: 'geocode',
+  body:      bodySchema({ lat: LATITUDE, lng: LONGITUDE }, ['lat', 'lng']),
+  returns:   '{ label }',
+}, async (req, res) => {
+  if (!geocoder.names.length) return sendError(res, 400, 'No geocoder configured — set GOOGLE_MAPS_KEY or POSTCODES_FILE in .env');
+
+  const { lat, lng } = req.body;
+
+  try {
+    res.json({ label: await reverseGeocode(lat, lng) });
+  } catch (err) {
+    if (err.status) return res.json({ label: null });
+    console.error('Reverse geocode error:', err);
+    sendError(res, 502, 'Reverse geocode failed: ' + err.message);
+  }
+});
+
+// ── Unified search ────────────────────────────────────────────────────────────
+// GET /api/search?q=...&radius=...&sort=...&open=...
+// Runs the whole search pipeline server-side: geocodes q, then queries Places
+// text search, review-filtered searchNearby and the curated list in parallel,
+// deduplicates, geocodes results without coordinates, drops anything outside
+// the radius and sorts.
+//   radius — metres, default 1609 (1 mile), at most 50km
+//   sort   — 'distance' (default) or 'rating'
+//   region — which city to search (see GET /api/regions), default london
+//   open   — 'now', 'late' (11 PM–5 AM tonight) or 'at' with day (mon–sun)
+//            and time (HH:MM), in the region's local time; spots with
+//            unknown hours are left out
+// Returns: { query, region, centre, radius, sort, open, results, errors }
+// `distance` on each result is in km (null when it couldn't be placed).
+// `errors` lists per-source failures as { source, message } — the other
+// sources still return results.
+
+// Geocode, rejecting coordinates outside the region's boundary so restaurant
+// names don't resolve to the wrong city or country. A miss is tried again
+// with the city name added ("Northern Quarter" → "Northern Quarter,
+// Manchester").
+async function geocodeInRegion(address, region) {
+  const queries = [address];
+  if (!address.toLowerCase().includes(region.city.toLowerCase())) queries.push(address + ', ' + region.city);
+
+  for (const query of queries) {
+    const coords = await geocodeAddress(query);
+    if (coords && inBoundary(region, coords.lat, coords.lng)) return coords;
+    if (coords) console.warn('Geocode out of ' + region.name + ' bounds for "' + query + '": ' + coords.lat + ', ' + coords.lng);
+  }
+  return null;
+}
+
+function extractArea(address) {
+  const parts = (address || '').split(',').map(s => s.trim());
+  if (parts.length >= 3) return parts[parts.length - 3] || parts[1] || '';
+  return parts[1] || '';
+}
+
+// Maps a raw Places result onto the spot shape the frontend renders.
+function placeToSpot(p, source, query) {
+  const review   = p.matchedReview || '';
+  const evidence = placeEvidence(p, { source: 'search', query });
+  return {
+    id:          p.id || null,
+    placeId:     p.id || null,
+    name:        p.displayName?.text || 'Unknown',
+    address:     p.formattedAddress || p.shortFormattedAddress || '',
+    area:        extractArea(p.formattedAddress || ''),
+    rating:      p.rating || null,
+    reviewCount: p.userRatingCount || null,
+    openingHours: hoursFromPlace(p),
+    businessStatus: p.businessStatus || null,
+    priceLevel:  p.priceLevel || null,
+    mapsUrl:     p.googleMapsUri || null,
+    lat:         p.location?.latitude  ?? null,
+    lng:         p.location?.longitude ?? null,
+    source,
+    description: review
+      ? 'Mentioned in reviews: "' + review.substring(0, 120).replace(/"/g, "'") + (review.length > 120 ? '...' : '') + '"'
+      : '',
+    tags:        source === 'review' ? ['mentioned in reviews'] : [],
+    evidence,
+    evidenceScore: scoreEvidence(evidence),
+  };
+}
+
+function curatedToSpot(s) {
+  return {
+    id:          s.id          || null,
+    placeId:     s.placeId     || null,
+    name:        s.name        || 'Unknown',
+    address:     s.address     || '',
+    area:        s.area        || extractArea(s.address || ''),
+    rating:      s.rating      || null,
+    reviewCount: s.reviewCount || null,
+    openingHours: s.openingHours || null,
+    businessStatus: s.businessStatus || null,
+    priceLevel:  s.priceLevel  || null,
+    mapsUrl:     s.mapsUrl     || null,
+    lat:         s.lat         ?? null,
+    lng:         s.lng         ?? null,
+    source:      'curated',
+    description: s.description || '',
+    tags:        s.tags        || [],
+    evidence:    s.evidence    || inferEvidence(s, 'curated'),
+    evidenceScore: spotEvidenceScore(s, 'curated'),
+  };
+}
+
+// Merges sources from `region` in priority order, dropping any spot that is
+// the same place as one already kept (see lib/entity-match.js) — so two
+// branches of a chain both stay.
+function dedupeSpots(region, ...sources) {
+  const merged = [];
+  const index  = createSpotIndex([], matchOptionsFor(region.id));
+  for (const source of sources) {
+    for (const spot of source) {
+      if (index.bestMatch(spot)) continue;
+      merged.push(spot);
+      index.add(spot);
+    }
+  }
+  return merged;
+}
+
+function sortSpots(spots, sort) {
+  const byDistance = (a, b) => {
+    if (a.distance == null && b.distance == null) return 0;
+    if (a.distance == null) return 1;
+    if (b.distance == null) return -1;
+    return a.distance - b.distance;
+  };
+  if (sort === 'rating') {
+    return spots.sort((a, b) => ((b.rating || 0) - (a.rating || 0)) || byDistance(a, b));
+  }
+  return spots.sort(byDistance);
+}
+
+api('get', '/api/search', {
+  summary:   'Search every source for gözleme near a place',
+  rateLimit: 'search',
+  query:     objectSchema({
+    q:      { type: 'string', maxLength: 200, pattern: '\\S', errorMessage: 'q is required — a place, postcode or address' },
+    radius: RADIUS,
+    sort:   { type: 'string', enum: ['distance', 'rating'] },
+    region: REGION,
+    ...OPEN_FILTER,
+  }, ['q']),
+  returns:   '{ query, region, centre, radius, sort, open, results, errors }',
+}, async (req, res) => {
+  const query  = req.query.q.trim();
+  const radius = req.query.radius ?? 1609;
+  const sort   = req.query.sort || 'distance';
+
+  let region, wanted;
+  try {
+    region = regionFor(req.query);
+    wanted = openFilter(req.query, region);
+  } catch (err) {
+    return sendError(res, err.status, err.message);
+  }
+
+  const errors = [];
+
+  // Step 1: geocode the search location so every source uses precise coords
+  let centre = regionCentre(region);
+  try {
+    const coords = await geocodeInRegion(query, region);
+    if (coords) centre = coords;
+    else errors.push({ source: 'geocode', message: 'Could not locate "' + query + '" — searching central ' + region.city });
+  } catch (err) {
+    errors.push({ source: 'geocode', message: err.message });
+  }
+
+  // Step 2: direct gözleme search, review-filtered searchNearby and curated, in parallel
+  const textQuery = 'gozleme near ' + query;
+  const [direct, review, curated] = await Promise.allSettled([
+    placesTextSearch({ textQuery, latitude: centre.lat, longitude: centre.lng, radius, maxResults: 20 }),
+    placesByReview({ latitude: centre.lat, longitude: centre.lng, radius }),
+    readCurated().then(spots => spots.filter(s => regionOf(s) === region.id)),
+  ]);
+
+  const settled = (result, source) => {
+    if (result.status === 'fulfilled') return result.value;
+    errors.push({ source, message: result.reason.message });
+    return null;
+  };
+
+  const placesSpots  = (settled(direct, 'places')?.places || []).map(p => placeToSpot(p, 'places', textQuery));
+  const reviewSpots  = (settled(review, 'review')?.places || []).map(p => placeToSpot(p, 'review'));
+  const curatedSpots = (settled(curated, 'curated') || []).map(curatedToSpot);
+
+  // Places Google lists as permanently closed are dropped; curated spots are the admins' call
+  let spots = dedupeSpots(region, placesSpots, reviewSpots, curatedSpots)
+    .filter(s => s.source === 'curated' || s.businessStatus !== CLOSED_PERMANENTLY);
+
+  // Step 3: geocode results without coordinates — address first, then name + area
+  await Promise.all(spots.map(async (spot) => {
+    if (spot.lat != null) return;
+    const queries = [spot.address, spot.area && spot.name + ', ' + spot.area, spot.name].filter(Boolean);
+    for (const q of queries) {
+      try {
+        const coords = await geocodeInRegion(q, region);
+        if (coords) { spot.lat = coords.lat; spot.lng = coords.lng; return; }
+      } catch (err) { /* try next query */ }
+    }
+  }));
+
+  // Step 4: distance from centre, cap to radius, sort
+  for (const spot of spots) {
+    spot.distance = spot.lat != null && spot.lng != null
+      ? distanceKm(centre.lat, centre.lng, spot.lat, spot.lng)
+      : null;
+  }
+  spots = spots.filter(s => s.distance == null || s.distance <= radius / 1000);
+
+  try {
+    spots = await withReports(spots);
+  } catch (err) {
+    errors.push({ source: 'reports', message: err.message });
+  }
+  spots = withOpenState(spots, region);
+  if (wanted) spots = spots.filter(wanted);
+
+  res.json({
+    query,
+    region: region.id,
+    centre,
+    radius,
+    sort,
+    open:    wanted ? req.query.open : null,
+    results: sortSpots(spots, sort),
+    errors,
+  });
+});
+
+// ── AI suggestions ───────────────────────────────────────────────────────────
+// When a search finds nothing, the page asks Claude for spots near it. The
+// prompt is built here (see lib/ai-spots.js) and Claude's answer is checked
+// before it is sent on, so the route can't be used as a general Claude proxy.
+// A location may only hold the characters of a place name or address.
+//
+// The location is geocoded within the region first, and answers are cached
+// per AI_SUGGEST_CELL_DEGREES cell of where it is for CACHE_TTL_AI_SUGGEST
+// seconds: "Dalston", "dalston, london" and "E8 3" share one answer, so new
+// spellings of a place don't each reach Anthropic. Each visitor may ask
+// AI_RATE_LIMIT times an hour, and the "anthropic" upstream budget caps the
+// questions a day that reach Anthropic.
+
+const AI_SUGGEST_CELL_DEGREES = 0.02;   // about 2 km north–south
+const AI_LOCATION             = '^(?=.*[A-Za-z0-9\u00C0-\u024F])[A-Za-z0-9\u00C0-\u024F ,.\'’-]+$';
+
+// Claude's suggestions for `location`, geocoded and in the spot shape the
+// frontend renders. Spends one Anthropic call from the daily budget.
+async function suggestSpots(location, region) {
+  spendBudget('anthropic');
+
+  let suggestions;
+  try {
+    suggestions = await askForSpots(location, {
+      key:     ANTHROPIC_KEY,
+      baseUrl: process.env.ANTHROPIC_API_BASE || undefined,
+      city:    region.city,
+      country: region.country,
+    });
+  } catch (err) {
+    // Anthropic's own status (a bad key, its rate limit) isn't the visitor's
+    console.error('AI suggestion error:', err.message);
+    throw httpError('AI suggestions are unavailable right now — please try again later', 502);
+  }
+  if (!suggestions) throw httpError('Claude\'s answer could not be read — please try again', 502);
+
+  const spots = suggestions.map(s => ({
+    id:          null,
+    placeId:     null,
+    name:        s.name,
+    address:     s.address,
+    area:        s.area || location,
+    rating:      null,
+    reviewCount: null,
+    openingHours: null,
+    businessStatus: null,
+    priceLevel:  null,
+    mapsUrl:     null,
+    lat:         null,
+    lng:         null,
+    source:      'ai',
+    region:      region.id,
+    description: s.description,
+    tags:        s.tags,
+  }));
+
+  // Address first, then name + area — as for search results
+  await Promise.all(spots.map(async (spot) => {
+    const queries = [spot.address, spot.name + ', ' + spot.area].filter(Boolean);
+    for (const q of queries) {
+      try {
+        const coords = await geocodeInRegion(q, region);
+        if (coords) { spot.lat = coords.lat; spot.lng = coords.lng; return; }
+      } catch (err) { /* try next query */ }
+    }
+  }));
+  return spots;
+}
+
+// POST /api/ai/suggest
+// Body: { location, excludeNames?, region? }
+//   excludeNames — spots the page already shows; suggestions with the same
+//                  name are left out
+// Returns: { location, region, spots } — AI spots, unverified, with lat/lng
+// when they could be placed in the region; 404 when the location can't be
+// found in the region
+api('post', '/api/ai/suggest', {
+  summary:   'Ask Claude for gözleme spots near a place',
+  rateLimit: 'ai',
+  body:      bodySchema({
+    location:     { type: 'string', maxLength: 100, pattern: AI_LOCATION, errorMessage: 'location must be a place, postcode or address — letters, digits, spaces and , . \' - (up to 100 characters)' },
+    excludeNames: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 200 } },
+    region:       { ...REGION, nullable: true },
+  }, ['location']),
+  returns:   '{ location, region, spots }',
+}, async (req, res) => {
+  if (!ANTHROPIC_KEY) return sendError(res, 400, 'ANTHROPIC_KEY not set in .env');
+
+  try {
+    const region   = regionFor(req.body);
+    const location = req.body.location.trim().replace(/\s+/g, ' ');
+    const coords   = await geocodeInRegion(location, region);
+    if (!coords) throw httpError('Could not find "' + location + '" in ' + region.name, 404);
+
+    const cell  = [coords.lat, coords.lng].map(d => Math.floor(d / AI_SUGGEST_CELL_DEGREES));
+    const spots = await responseCache.wrap('ai-suggest', { region: region.id, cell }, () => suggestSpots(location, region));
+
+    // Filtered after the cache so one answer serves every visitor
+    const exclude = req.body.excludeNames || [];
+    res.json({
+      location,
+      region: region.id,
+      spots:  spots.filter(s => !exclude.some(name => nameSimilarity(s.name, name, matchOptionsFor(region.id).genericWords) === 1)),
+    });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error('AI suggestion error:', err);
+    sendError(res, 500, 'AI suggestions failed — please try again later');
+  }
+});
+
+// ── Admin — usage metrics ────────────────────────────────────────────────────
+// GET /api/admin/metrics
+// Returns: { upstream, rateLimits, responseCache, refresh }
+//   upstream    — today's calls per upstream API: { day, limit, used, remaining, refused }
+//   rateLimits  — per-IP limits: { limit, windowSeconds, clients, requests,
+//                 limited }, counted since the server started
+api('get', '/api/admin/metrics', {
+  summary: 'Upstream API usage, rate limiting and cache counters',
+  admin:   true,
+  returns: '{ upstream, rateLimits, responseCache, refresh }',
+}, (req, res) => {
+  const upstream = upstreamBudgets.status();
+  res.json({
+    upstream,
+    rateLimits: {
+      ...Object.fromEntries(Object.entries(rateLimits).map(([name, { limiter }]) => [name, limiter.stats()])),
+      reports:     reportLimiter.stats(),
+      suggestions: suggestionLimiter.stats(),
+    },
+    responseCache: responseCache.stats(),
+    refresh:       refreshJob.status(),
+  });
+});
+
+// ── API description and errors ───────────────────────────────────────────────
+// GET /api/openapi.json — an OpenAPI 3.0 document generated from the route
+// schemas above
+api('get', '/api/openapi.json', { summary: 'This API, described as OpenAPI 3.0' }, (req, res) => {
+  res.json(openApiDocument({
+    info: {
+      title:       'Gözleme Finder API',
+      version:     require('./package.json').version,
+      description: 'Errors from every route share the envelope { error: { code, message, details } }.',
+    },
+    routes:        apiRoutes.map(route => ({ ...route, path: BASE + route.path })),
+    sessionCookie: SESSION_COOKIE,
+  }));
+});
+
+app.use(BASE + '/api', (req, res) => {
+  sendError(res, 404, 'No such API route: ' + req.method + ' ' + req.originalUrl.split('?')[0]);
+});
+
+// Validation failures from api(), and bodies express.json() can't read —
+// malformed JSON (400) or too large (413) — in the shared envelope
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.status && err.status < 500) return sendError(res, err.status, err.type === 'entity.parse.failed' ? 'The request body is not valid JSON' : err.message, err.details || null);
+  console.error('Request error:', err);
+  sendError(res, 500, 'Request failed: ' + err.message);
+});
+
+// ── Start ─────────────────────────────────────────────────────────────────────
+app.listen(PORT, () => {
+  console.log('');
+  console.log('  Gozleme Finder proxy running');
   console.log('  http://localhost:' + PORT);
   console.log('');
   console.log('  Google Places key : ' + (GOOGLE_PLACES_KEY ? 'SET ✓' : 'NOT SET'));
   console.log('  Google Maps key   : ' + (GOOGLE_MAPS_KEY   ? 'SET ✓' : 'NOT SET'));
   console.log('  Anthropic key     : ' + (ANTHROPIC_KEY     ? 'SET ✓' : 'NOT SET'));
+  console.log('  Geocoders         : ' + (geocoder.names.join(' → ') || 'NONE'));
   console.log('');
+
+  if (GOOGLE_PLACES_KEY) refreshJob.start();
+
+  // Load the postcode centroids now rather than on the first search
+  for (const provider of geocodeProviders) {
+    if (!provider.load) continue;
+    provider.load().then(
+      ({ full, outward }) => console.log('Geocoding: ' + full.size + ' postcodes, ' + outward.size + ' districts loaded'),
+      err => console.warn('Geocoding: could not load ' + POSTCODES_FILE + ' — ' + err.message),
+    );
+  }
 });
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const { createAdminAuth } = require('../lib/admin-auth');
+
+// An admin store in a temporary file, with the user "alice"
+async function authWithAlice() {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-admins-')), 'admins.json');
+  const auth = createAdminAuth({ file, secret: 'test-secret' });
+  await auth.addUser('Alice', 'first-password');
+  return auth;
+}
+
+test('usernames are stored lowercase and log in in any case', async () => {
+  const auth = await authWithAlice();
+  assert.deepEqual((await auth.listUsers()).map(u => u.username), ['alice']);
+  assert.ok(await auth.login(' ALICE ', 'first-password', '127.0.0.1'));
+});
+
+test('setting a password finds the user in any case', async () => {
+  const auth = await authWithAlice();
+  await auth.setPassword('Alice', 'second-password');
+  assert.ok(await auth.login('alice', 'second-password', '127.0.0.1'));
+  await assert.rejects(auth.setPassword('bob', 'second-password'), err => err.status === 404);
+});
+
+test('removing a user finds them in any case', async () => {
+  const auth = await authWithAlice();
+  await auth.removeUser(' ALICE');
+  assert.deepEqual(await auth.listUsers(), []);
+});
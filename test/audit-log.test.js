@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const { createAuditLog } = require('../lib/audit-log');
+
+// A log in a temporary file holding one entry at each of `times`
+function logWith(times) {
+  const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-audit-'));
+  const file = path.join(dir, 'audit.jsonl');
+  fs.writeFileSync(file, times.map((at, i) => JSON.stringify({ id: 'a_' + i, at, action: 'update' }) + '\n').join(''));
+  return createAuditLog({ file });
+}
+
+const TIMES = ['2026-10-18T23:59:59.000Z', '2026-10-19T00:00:00.000Z', '2026-10-19T12:30:00.000Z', '2026-10-19T23:59:59.999Z', '2026-10-20T00:00:00.000Z'];
+
+test('since and until are inclusive', async () => {
+  const { entries } = await logWith(TIMES).list({ since: '2026-10-19T00:00:00.000Z', until: '2026-10-19T12:30:00.000Z' });
+  assert.deepEqual(entries.map(e => e.at), TIMES.slice(1, 3).reverse());
+});
+
+test('entries come newest first and page with limit and offset', async () => {
+  const { entries, total } = await logWith(TIMES).list({ limit: 2, offset: 1 });
+  assert.equal(total, 5);
+  assert.deepEqual(entries.map(e => e.at), [TIMES[3], TIMES[2]]);
+});
+
+test('an undone entry is marked with the entry that undid it', async () => {
+  const log  = logWith(TIMES.slice(0, 1));
+  const undo = await log.record({ action: 'update', undoOf: 'a_0' });
+  assert.equal((await log.get('a_0')).undoneBy, undo.id);
+});
+
+test('a date-only until includes the whole of that day', async () => {
+  const { entries } = await logWith(TIMES).list({ until: '2026-10-19' });
+  assert.deepEqual(entries.map(e => e.at), TIMES.slice(0, 4).reverse());
+});
+
+test('a date-only since starts at the beginning of that day', async () => {
+  const { entries } = await logWith(TIMES).list({ since: '2026-10-19', until: '2026-10-19' });
+  assert.deepEqual(entries.map(e => e.at), TIMES.slice(1, 4).reverse());
+});
+
+test('timestamps are compared as times, not as text', async () => {
+  const log = logWith(TIMES);
+  assert.equal((await log.list({ until: '2026-10-19T12:30:00Z' })).total, 3);
+  assert.equal((await log.list({ since: '2026-10-19T14:30:00+02:00' })).total, 3);
+});
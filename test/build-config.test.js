@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const { loadRegion, loadConfig } = require('../lib/build-config');
+
+// A config file in a temporary directory
+function configFile(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-config-')), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('London searches Places from east of its centre', () => {
+  const london = loadRegion('london');
+  assert.deepEqual(london.searchCenter, { latitude: 51.52, longitude: -0.07 });
+  assert.deepEqual(london.center, { latitude: 51.5074, longitude: -0.1278 });
+  assert.equal(loadRegion('manchester').searchCenter, undefined);
+});
+
+test('a config file that moves the centre doesn\'t keep London\'s search centre', () => {
+  const leeds = loadConfig(configFile({ city: 'Leeds', center: { latitude: 53.8, longitude: -1.55 } }));
+  assert.equal(leeds.searchCenter, undefined);
+  assert.deepEqual(loadConfig(configFile({ areas: ['Dalston'] })).searchCenter, { latitude: 51.52, longitude: -0.07 });
+});
+
+test('a searchCenter must be a point', () => {
+  assert.throws(() => loadConfig(configFile({ searchCenter: { latitude: '51.52' } })), /"searchCenter" must be \{ latitude, longitude \}/);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const { createCheckpoint, parseSince } = require('../lib/checkpoint');
+const { withRetry }                    = require('../lib/retry');
+const { parseArgs, COMMANDS }          = require('../lib/cli');
+
+const checkpointFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-checkpoint-')), 'builder.json');
+
+test('an interrupted run resumes with its completed units and state', async () => {
+  const file  = checkpointFile();
+  const first = createCheckpoint({ file });
+  assert.equal((await first.start()).resumed, false);
+  first.state.found = 3;
+  await first.complete(['E1', 'E2']);
+
+  // The process dies here; the next run picks up the same checkpoint
+  const second = createCheckpoint({ file });
+  const { resumed } = await second.start();
+  assert.equal(resumed, true);
+  assert.equal(second.isDone('E1'), true);
+  assert.equal(second.isDone('E3'), false);
+  assert.equal(second.state.found, 3);
+});
+
+test('--fresh starts over and a finished run isn\'t resumed', async () => {
+  const file = checkpointFile();
+  const run  = createCheckpoint({ file });
+  await run.start();
+  await run.complete(['E1']);
+
+  const fresh = createCheckpoint({ file });
+  assert.equal((await fresh.start({ fresh: true })).resumed, false);
+  assert.equal(fresh.isDone('E1'), false);
+  assert.deepEqual(fresh.state, {});
+  await fresh.finish();
+
+  const next = createCheckpoint({ file });
+  assert.equal((await next.start()).resumed, false);
+  assert.equal(next.isDone('E1'), false);
+});
+
+test('--since skips units completed within the window, across runs', async () => {
+  const file = checkpointFile();
+  const run  = createCheckpoint({ file });
+  await run.start();
+  await run.complete(['E1']);
+  await run.finish();
+
+  const recent = createCheckpoint({ file });
+  await recent.start({ since: parseSince('1h') });
+  assert.equal(recent.isDone('E1'), true);
+  assert.equal(recent.isDone('E2'), false);
+
+  const later = createCheckpoint({ file });
+  await later.start({ fresh: true, since: Date.now() + 60000 });
+  assert.equal(later.isDone('E1'), false);
+});
+
+test('a dry run reads the checkpoint but never writes it', async () => {
+  const file = checkpointFile();
+  const dry  = createCheckpoint({ file, dryRun: true });
+  await dry.start();
+  await dry.complete(['E1']);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('--since takes a duration or a date', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(parseSince('12h', now), Date.parse('2026-10-19T00:00:00Z'));
+  assert.equal(parseSince('2w', now), Date.parse('2026-10-05T12:00:00Z'));
+  assert.equal(parseSince('2026-10-01', now), Date.parse('2026-10-01'));
+  assert.throws(() => parseSince('soon', now), /--since must be/);
+});
+
+test('the builders take --only lists and --since windows', () => {
+  const builder = COMMANDS.find(c => c.name === 'build-postcodes');
+  const opts    = parseArgs(['--only', 'E, N1', '--since', '7d', '--fresh'], builder.options);
+  assert.deepEqual(opts.only, ['E', 'N1']);
+  assert.equal(typeof opts.since, 'number');
+  assert.equal(opts.fresh, true);
+  assert.throws(() => parseArgs(['--only', ','], builder.options), /needs at least one value/);
+});
+
+test('failed calls are retried with backoff, but not bad requests', async () => {
+  let calls = 0;
+  const waits = [];
+  const flaky = () => (++calls < 3 ? Promise.reject(Object.assign(new Error('busy'), { status: 503 })) : Promise.resolve('ok'));
+  assert.equal(await withRetry(flaky, { baseMs: 1, onRetry: (err, attempt, wait) => waits.push(wait) }), 'ok');
+  assert.equal(calls, 3);
+  assert.equal(waits.length, 2);
+
+  calls = 0;
+  const bad = () => { calls++; return Promise.reject(Object.assign(new Error('bad key'), { status: 400 })); };
+  await assert.rejects(withRetry(bad, { baseMs: 1 }), /bad key/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  const down = () => { calls++; return Promise.reject(new Error('ECONNRESET')); };
+  await assert.rejects(withRetry(down, { attempts: 3, baseMs: 1 }), /ECONNRESET/);
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+
+const { matchSpots } = require('../lib/entity-match');
+
+const DALSTON   = { lat: 51.546, lng: -0.075 };
+const NEXT_DOOR = { lat: 51.5461, lng: -0.0751 };
+
+test('the same name in the same place is the same spot', () => {
+  const { decision } = matchSpots({ name: 'Efes Restaurant', ...DALSTON }, { name: 'Efes', ...NEXT_DOOR });
+  assert.equal(decision, 'same');
+});
+
+test('different branch labels are different places', () => {
+  const { decision } = matchSpots({ name: 'Efes (Dalston)', ...DALSTON }, { name: 'Efes (Whitechapel)', ...NEXT_DOOR });
+  assert.equal(decision, 'different');
+});
+
+test('a branch label on only one name is at most maybe, either way round', () => {
+  const branch = { name: 'Efes Restaurant (Dalston)', ...DALSTON };
+  const plain  = { name: 'Efes Restaurant', ...NEXT_DOOR };
+  for (const [a, b] of [[branch, plain], [plain, branch]]) {
+    const match = matchSpots(a, b);
+    assert.equal(match.decision, 'maybe');
+    assert.ok(match.reasons.includes('only one name has a branch label: dalston'));
+  }
+  assert.equal(matchSpots(branch, { ...plain, name: 'Efes Restaurant (Dalston)' }).decision, 'same');
+});
+
+test('a one-sided branch label doesn\'t lift a weak match', () => {
+  const { decision } = matchSpots({ name: 'Efes (Dalston)', area: 'Dalston' }, { name: 'Mangal', area: 'Hackney' });
+  assert.equal(decision, 'different');
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+
+const { exportSpots } = require('../lib/export');
+
+// The CSV export of `spot` as { field: cell text }
+function csvRow(spot) {
+  const [header, row] = exportSpots([{ id: 's1', name: 'Efes', lat: 51.546, lng: -0.075, ...spot }], 'csv').body.split('\r\n');
+  const cells = row.match(/("([^"]|"")*"|[^,]*)(,|$)/g).map(c => c.replace(/,$/, ''));
+  return Object.fromEntries(header.split(',').map((field, i) => [field, cells[i]]));
+}
+
+test('text a spreadsheet would run as a formula is prefixed with a quote', () => {
+  assert.equal(csvRow({ name: '=HYPERLINK("http://x","Efes")' }).name, '"\'=HYPERLINK(""http://x"",""Efes"")"');
+  assert.equal(csvRow({ name: '+44 20 7254' }).name, '\'+44 20 7254');
+  assert.equal(csvRow({ area: '-Dalston' }).area, '\'-Dalston');
+  assert.equal(csvRow({ address: '@SUM(A1)' }).address, '\'@SUM(A1)');
+  assert.equal(csvRow({ description: '\tcmd' }).description, '\'\tcmd');
+  assert.equal(csvRow({ description: '\rcmd' }).description, '"\'\rcmd"');
+  assert.equal(csvRow({ tags: ['=1+1', 'turkish'] }).tags, '\'=1+1;turkish');
+});
+
+test('numbers and ordinary text are exported as they are', () => {
+  const row = csvRow({ name: 'Efes, Dalston', rating: 4.5 });
+  assert.equal(row.lng, '-0.075');
+  assert.equal(row.rating, '4.5');
+  assert.equal(row.name, '"Efes, Dalston"');
+});
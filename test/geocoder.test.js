@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const { parsePostcode, createPostcodeGeocoder, createFakeGeocoder, chainGeocoders } = require('../lib/geocoder');
+
+// A postcode geocoder over a temporary CSV of `rows` under `header`
+function postcodesFrom(header, rows) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-postcodes-')), 'postcodes.csv');
+  fs.writeFileSync(file, [header, ...rows].join('\n') + '\n');
+  return createPostcodeGeocoder({ file });
+}
+
+const ONS_HEADER = 'pcd,pcds,doterm,lat,long';
+const ONS_ROWS   = [
+  'E8  2PB,E8 2PB,,51.5400,-0.0760',
+  'E8  2PD,E8 2PD,,51.5500,-0.0740',
+  'E8  9ZZ,E8 9ZZ,201001,51.9000,-0.9000',   // terminated
+  'E8  8XX,E8 8XX,,99.999999,0.000000',      // no grid reference
+];
+
+test('postcodes parse full and outward, ignoring a trailing city', () => {
+  assert.deepEqual(parsePostcode('e8 2pb'), { outward: 'E8', full: 'E8 2PB' });
+  assert.deepEqual(parsePostcode('E82PB, London'), { outward: 'E8', full: 'E8 2PB' });
+  assert.deepEqual(parsePostcode('E17'), { outward: 'E17', full: null });
+  assert.equal(parsePostcode('Dalston'), null);
+});
+
+test('a full postcode resolves to its own centroid', async () => {
+  const geocoder = postcodesFrom(ONS_HEADER, ONS_ROWS);
+  assert.deepEqual(await geocoder.geocode('E8 2PB'), { lat: 51.54, lng: -0.076 });
+  assert.deepEqual(await geocoder.geocode('e82pd, london'), { lat: 51.55, lng: -0.074 });
+  assert.equal(await geocoder.geocode('E8 9ZZ'), null, 'terminated postcodes are skipped');
+  assert.equal(await geocoder.geocode('E8 8XX'), null, 'postcodes without coordinates are skipped');
+  assert.equal(await geocoder.geocode('Dalston'), null);
+});
+
+test('an outward code resolves to the centroid of its postcodes', async () => {
+  const hit = await postcodesFrom(ONS_HEADER, ONS_ROWS).geocode('E8');
+  assert.ok(Math.abs(hit.lat - 51.545) < 1e-9);
+  assert.ok(Math.abs(hit.lng - -0.075) < 1e-9);
+});
+
+test('quoted cells may hold commas', async () => {
+  const geocoder = postcodesFrom('"pcds","ward","lat","long"', [
+    '"E8 2PB","Dalston, Hackney","51.5400","-0.0760"',
+    '"E8 2PD","Hackney ""Central"", Hackney",51.5500,-0.0740',
+  ]);
+  assert.deepEqual(await geocoder.geocode('E8 2PB'), { lat: 51.54, lng: -0.076 });
+  assert.deepEqual(await geocoder.geocode('E8 2PD'), { lat: 51.55, lng: -0.074 });
+});
+
+test('an outward code the file lists itself is used as it is', async () => {
+  const geocoder = postcodesFrom('postcode,latitude,longitude', ['E8 2PB,51.54,-0.076', 'E8,51.5,-0.07']);
+  assert.deepEqual(await geocoder.geocode('E8'), { lat: 51.5, lng: -0.07 });
+});
+
+test('a reverse lookup finds the nearest postcode across a grid cell boundary', async () => {
+  // The postcodes sit just north and just west of the 0.01° lines the query
+  // is just south and east of, so each is in a neighbouring cell
+  const geocoder = postcodesFrom('postcode,latitude,longitude', ['N1 1AA,51.5401,-0.0801', 'N1 1AB,51.5450,-0.0700']);
+  assert.equal(await geocoder.reverse(51.5399, -0.0799), 'N1 1AA');
+  assert.equal(await geocoder.reverse(51.5300, -0.0799), null, 'nothing within 500 m');
+});
+
+test('a header without coordinate columns is an error', async () => {
+  await assert.rejects(postcodesFrom('postcode,easting,northing', ['E8 2PB,1,2']).geocode('E8 2PB'), /needs postcode, latitude and longitude/);
+});
+
+test('the chain falls back when a provider has no answer or fails', async () => {
+  const failing = { name: 'down', geocode: async () => { throw Object.assign(new Error('outage'), { status: 502 }); }, reverse: async () => null };
+  const empty   = { name: 'empty', geocode: async () => null, reverse: async () => null };
+  const fake    = createFakeGeocoder({ entries: { Dalston: { lat: 51.546, lng: -0.075 } } });
+
+  const chain = chainGeocoders([failing, empty, fake]);
+  assert.deepEqual(chain.names, ['down', 'empty', 'fake']);
+  assert.deepEqual(await chain.geocode('dalston'), { lat: 51.546, lng: -0.075 });
+  assert.equal(await chain.reverse(51.5461, -0.0751), 'Dalston');
+});
+
+test('the chain answers null when no provider failed, and rethrows when one did', async () => {
+  const empty   = { name: 'empty', geocode: async () => null };
+  const failing = { name: 'down', geocode: async () => { throw new Error('outage'); } };
+  assert.equal(await chainGeocoders([empty]).geocode('nowhere'), null);
+  await assert.rejects(chainGeocoders([failing, empty]).geocode('nowhere'), /outage/);
+});
+
+test('with no geocoder configured every lookup is a 400', async () => {
+  const chain = chainGeocoders([]);
+  assert.deepEqual(chain.names, []);
+  await assert.rejects(chain.geocode('E8 2PB'), err => err.status === 400 && /No geocoder configured/.test(err.message));
+  await assert.rejects(chain.reverse(51.54, -0.076), err => err.status === 400);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+
+const { hoursFromPlace, isOpenOn, isOpenAt, isOpenLate, hoursOnDay } = require('../lib/opening-hours');
+
+const FRI = 5;
+const SAT = 6;
+const SUN = 0;
+const at  = (h, m = 0) => h * 60 + m;
+
+// 11:00 to 1:00 the next morning on Friday and Saturday — so Saturday's
+// closing falls on Sunday, across the end of the week — and 11:00 to
+// 22:00 on Sunday
+const HOURS = {
+  periods: [
+    { open: { day: FRI, hour: 11, minute: 0 }, close: { day: SAT, hour: 1, minute: 0 } },
+    { open: { day: SAT, hour: 11, minute: 0 }, close: { day: SUN, hour: 1, minute: 0 } },
+    { open: { day: SUN, hour: 11, minute: 0 }, close: { day: SUN, hour: 22, minute: 0 } },
+  ],
+  weekdayDescriptions: [
+    'Monday: Closed', 'Tuesday: Closed', 'Wednesday: Closed', 'Thursday: Closed',
+    'Friday: 11:00 AM – 1:00 AM', 'Saturday: 11:00 AM – 1:00 AM', 'Sunday: 11:00 AM – 10:00 PM',
+  ],
+};
+
+test('a spot that closes after midnight is open into the next morning', () => {
+  assert.equal(isOpenOn(HOURS, FRI, at(23, 30)), true);
+  assert.equal(isOpenOn(HOURS, SAT, at(0, 30)), true);
+  assert.equal(isOpenOn(HOURS, SAT, at(1, 0)), false, 'closed at the closing minute');
+  assert.equal(isOpenOn(HOURS, SAT, at(10, 59)), false);
+});
+
+test('Saturday night runs on past the end of the week into Sunday', () => {
+  assert.equal(isOpenOn(HOURS, SUN, at(0, 30)), true);
+  assert.equal(isOpenOn(HOURS, SUN, at(2)), false);
+  assert.equal(isOpenOn(HOURS, SUN, at(21, 59)), true);
+});
+
+test('a period without a close is open all week, and unknown hours are null', () => {
+  const always = { periods: [{ open: { day: SUN, hour: 0, minute: 0 }, close: null }] };
+  assert.equal(isOpenOn(always, 3, at(4)), true);
+  assert.equal(isOpenOn(null, FRI, at(12)), null);
+  assert.equal(isOpenOn({ periods: [] }, FRI, at(12)), null);
+  assert.equal(isOpenLate(null, new Date()), null);
+});
+
+test('open now is worked out in London time, summer time included', () => {
+  // 23:30 UTC on Friday 3 July is 00:30 on Saturday in London (BST)
+  assert.equal(isOpenAt(HOURS, new Date('2026-07-03T23:30:00Z')), true);
+  // 00:30 UTC on Saturday 4 July is 01:30 in London — closed
+  assert.equal(isOpenAt(HOURS, new Date('2026-07-04T00:30:00Z')), false);
+  // The same instant in Istanbul is 02:30 on Saturday
+  assert.equal(isOpenAt(HOURS, new Date('2026-07-03T23:30:00Z'), 'Europe/Istanbul'), false);
+});
+
+test('open late looks at the night under way in the small hours', () => {
+  // Friday afternoon: open late tonight (until 1 AM)
+  assert.equal(isOpenLate(HOURS, new Date('2026-10-23T15:00:00Z')), true);
+  // 2 AM on Saturday still counts as Friday night
+  assert.equal(isOpenLate(HOURS, new Date('2026-10-24T01:00:00Z')), true);
+  // Sunday closes at 10 PM, so Sunday night isn't late
+  assert.equal(isOpenLate(HOURS, new Date('2026-10-25T15:00:00Z')), false);
+  // Wednesday is closed
+  assert.equal(isOpenLate(HOURS, new Date('2026-10-21T15:00:00Z')), false);
+});
+
+test('today\'s hours come from Google\'s Monday-first descriptions', () => {
+  assert.equal(hoursOnDay(HOURS, new Date('2026-10-23T12:00:00Z')), 'Friday: 11:00 AM – 1:00 AM');
+  assert.equal(hoursOnDay(HOURS, new Date('2026-10-25T12:00:00Z')), 'Sunday: 11:00 AM – 10:00 PM');
+  assert.equal(hoursOnDay({ periods: HOURS.periods }, new Date()), null);
+});
+
+test('stored hours come from a place\'s regular hours, else its current ones', () => {
+  const place = { currentOpeningHours: { periods: [{ open: { day: FRI, hour: 11 }, close: { day: SAT, hour: 1 } }] } };
+  assert.deepEqual(hoursFromPlace(place), {
+    periods:             [{ open: { day: FRI, hour: 11, minute: 0 }, close: { day: SAT, hour: 1, minute: 0 } }],
+    weekdayDescriptions: [],
+  });
+  assert.equal(hoursFromPlace({ regularOpeningHours: { periods: [] } }), null);
+  assert.equal(hoursFromPlace({}), null);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const { createDailyBudget, createUsageLog } = require('../lib/rate-limit');
+const { isRetryable }                       = require('../lib/retry');
+const { createUpstreamBudgets }             = require('../lib/upstream-budgets');
+
+const usageDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-usage-'));
+
+const NOON     = Date.parse('2026-10-19T12:00:00Z');
+const TOMORROW = Date.parse('2026-10-20T00:00:01Z');
+
+test('a budget refuses calls once the day\'s are spent and starts again the next day', () => {
+  const budget = createDailyBudget({ limit: 2 });
+  assert.deepEqual([budget.take(NOON), budget.take(NOON), budget.take(NOON)], [true, true, false]);
+  assert.deepEqual(budget.status(NOON), { day: '2026-10-19', limit: 2, used: 2, remaining: 0, refused: 1 });
+  assert.equal(budget.take(TOMORROW), true);
+  assert.equal(budget.status(TOMORROW).used, 1);
+});
+
+test('budgets sharing a usage log share the limit, as separate processes do', () => {
+  const dir = usageDir();
+  const server = createDailyBudget({ limit: 3, name: 'geocode', usage: createUsageLog({ dir }) });
+  const tool   = createDailyBudget({ limit: 3, name: 'geocode', usage: createUsageLog({ dir }) });
+
+  assert.equal(server.take(NOON), true);
+  assert.equal(tool.take(NOON), true);
+  assert.equal(tool.take(NOON), true);
+  assert.equal(server.take(NOON), false);
+  assert.deepEqual(tool.status(NOON), server.status(NOON));
+  assert.equal(server.status(NOON).refused, 1);
+});
+
+test('usage survives a restart and other APIs are counted apart', () => {
+  const dir = usageDir();
+  createDailyBudget({ limit: 5, name: 'anthropic', usage: createUsageLog({ dir }) }).take(NOON);
+
+  const restarted = createUsageLog({ dir });
+  assert.equal(createDailyBudget({ limit: 5, name: 'anthropic', usage: restarted }).status(NOON).used, 1);
+  assert.equal(createDailyBudget({ limit: 5, name: 'geocode', usage: restarted }).status(NOON).used, 0);
+  assert.equal(createDailyBudget({ limit: 5, name: 'anthropic', usage: restarted }).status(TOMORROW).used, 0);
+});
+
+test('a spent upstream budget throws a 503 that is not retried', () => {
+  const budgets = createUpstreamBudgets({ env: { AI_DAILY_BUDGET: '0' }, dir: usageDir() });
+  assert.throws(() => budgets.spend('anthropic'), err => {
+    assert.equal(err.status, 503);
+    assert.equal(isRetryable(err), false);
+    return true;
+  });
+  assert.equal(budgets.status().anthropic.refused, 1);
+  assert.equal(budgets.status()['places-text'].limit, 1000);
+});
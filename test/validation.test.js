@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+
+const { errorBody, validate, validateRequest, openApiDocument } = require('../lib/validation');
+
+// The route schemas as server.js builds them
+const objectSchema = (properties, required = []) => ({ type: 'object', properties, ...(required.length ? { required } : {}) });
+const bodySchema   = (properties, required = []) => ({ ...objectSchema(properties, required), additionalProperties: false });
+
+const PLACES_BODY = bodySchema({
+  textQuery: { type: 'string', minLength: 1, maxLength: 200 },
+  latitude:  { type: 'number', minimum: -90, maximum: 90 },
+  radius:    { type: 'number', minimum: 1, maximum: 50000 },
+  tags:      { type: 'array', maxItems: 2, items: { type: 'string', maxLength: 5 } },
+  time:      { type: 'string', pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$', errorMessage: 'time must be HH:MM, 24-hour' },
+  region:    { type: 'string', enum: ['london'], nullable: true },
+}, ['textQuery']);
+
+// Runs validateRequest(spec) on `req`. Returns the error passed to next(),
+// or null, and the request as the handler would see it.
+function run(spec, req) {
+  let passed;
+  validateRequest(spec)(req, {}, err => { passed = err || null; });
+  return { err: passed, req };
+}
+
+test('types, ranges and lengths are checked', () => {
+  const messages = body => validate(PLACES_BODY, body).map(p => p.message);
+  assert.deepEqual(messages({ textQuery: 'gozleme', latitude: 51.5, radius: 1500 }), []);
+  assert.deepEqual(messages({ textQuery: 'gozleme', latitude: '51.5' }), ['latitude must be a number']);
+  assert.deepEqual(messages({ textQuery: 'gozleme', radius: 1e9 }), ['radius must be between 1 and 50000']);
+  assert.deepEqual(messages({ textQuery: '' }), ['textQuery must not be empty']);
+  assert.deepEqual(messages({ textQuery: 'x'.repeat(201) }), ['textQuery must be at most 200 characters']);
+  assert.deepEqual(messages({ textQuery: 'x', latitude: Infinity }), ['latitude must be a number']);
+});
+
+test('required fields, unknown fields, enums and null are reported', () => {
+  const problems = validate(PLACES_BODY, { radius: 5, region: 'paris', extra: 1 });
+  assert.deepEqual(problems.map(p => p.field), ['textQuery', 'region', 'extra']);
+  assert.equal(problems[0].message, 'textQuery is required');
+  assert.equal(problems[1].message, 'region must be one of london');
+  assert.equal(problems[2].message, 'extra is not a recognised field');
+  assert.deepEqual(validate(PLACES_BODY, { textQuery: 'x', region: null }), []);
+  assert.deepEqual(validate(PLACES_BODY, { textQuery: null }).map(p => p.message), ['textQuery must be a string']);
+});
+
+test('list items are checked one by one, and errorMessage replaces the message', () => {
+  const problems = validate(PLACES_BODY, { textQuery: 'x', tags: ['ok', 'too long'], time: '25:00' });
+  assert.deepEqual(problems, [
+    { field: 'tags[1]', message: 'tags[1] must be at most 5 characters' },
+    { field: 'time', message: 'time must be HH:MM, 24-hour' },
+  ]);
+  assert.deepEqual(validate(PLACES_BODY, { textQuery: 'x', tags: ['a', 'b', 'c'] }).map(p => p.message), ['tags must have at most 2 items']);
+});
+
+test('a failing request reaches the error handler as a 400 listing every problem', () => {
+  const { err } = run({ body: PLACES_BODY }, { body: { latitude: 'north', radius: 0 } });
+  assert.equal(err.status, 400);
+  assert.equal(err.message, 'textQuery is required (and 2 more)');
+  assert.deepEqual(err.details.map(d => [d.in, d.field]), [['body', 'textQuery'], ['body', 'latitude'], ['body', 'radius']]);
+
+  assert.equal(run({ body: PLACES_BODY }, { body: [] }).err.details[0].message, 'The request body must be a JSON object');
+  assert.equal(run({ body: PLACES_BODY }, { body: { textQuery: 'gozleme' } }).err, null);
+});
+
+test('query numbers and booleans arrive as text and are converted', () => {
+  const query = objectSchema({ lat: { type: 'number', minimum: -90, maximum: 90 }, all: { type: 'boolean' }, q: { type: 'string' } });
+  const { err, req } = run({ query }, { query: { lat: '51.5', all: 'true', q: '12', other: 'kept' } });
+  assert.equal(err, null);
+  assert.deepEqual(req.query, { lat: 51.5, all: true, q: '12', other: 'kept' });
+
+  const bad = run({ query }, { query: { lat: 'abc', all: 'yes' } }).err;
+  assert.deepEqual(bad.details.map(d => d.message), ['lat must be a number', 'all must be true or false']);
+  assert.equal(run({ query }, { query: { lat: '' } }).err.details[0].message, 'lat must be a number');
+});
+
+test('every error shares one envelope, its code following the status', () => {
+  assert.deepEqual(errorBody(400, 'Bad', [{ field: 'x' }]), { error: { code: 'invalid_request', message: 'Bad', details: [{ field: 'x' }] } });
+  assert.deepEqual(errorBody(401, 'Sign in'), { error: { code: 'unauthorized', message: 'Sign in', details: null } });
+  assert.equal(errorBody(429, 'Slow down').error.code, 'rate_limited');
+  assert.equal(errorBody(504, 'Timeout').error.code, 'internal_error');
+  assert.equal(errorBody(418, 'Teapot').error.code, 'invalid_request');
+});
+
+test('the OpenAPI document describes each route\'s parameters and body', () => {
+  const doc = openApiDocument({
+    info:          { title: 'Test', version: '1' },
+    sessionCookie: 'session',
+    routes: [
+      { method: 'post', path: '/api/places', summary: 'Search', body: PLACES_BODY },
+      { method: 'get', path: '/api/spots/:id', summary: 'One spot', admin: true, query: objectSchema({ region: { type: 'string', description: 'Region id' } }) },
+    ],
+  });
+  assert.equal(doc.openapi, '3.0.3');
+  const body = doc.paths['/api/places'].post.requestBody.content['application/json'].schema;
+  assert.equal(body.properties.time.errorMessage, undefined, 'errorMessage is left out');
+  assert.equal(body.properties.time.pattern, PLACES_BODY.properties.time.pattern);
+
+  const get = doc.paths['/api/spots/{id}'].get;
+  assert.deepEqual(get.parameters.map(p => [p.name, p.in, p.required]), [['region', 'query', false], ['id', 'path', true]]);
+  assert.deepEqual(get.security, [{ adminSession: [] }]);
+  assert.equal(get.responses.default.$ref, '#/components/responses/Error');
+});
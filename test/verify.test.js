@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+const verify                     = require('../lib/commands/verify');
+const { createSpotStore }        = require('../lib/spot-store');
+const { createFakePlacesClient } = require('../lib/places-client');
+const { loadRegion }             = require('../lib/build-config');
+
+// AI spots around Dalston, and a Places spot one of them duplicates
+const aiSpot = (id, name, extra = {}) => ({
+  id, name, area: 'Dalston', address: id.slice(3) + ' Kingsland High St', lat: 51.546, lng: -0.075, source: 'ai', ...extra,
+});
+
+const SPOTS = [
+  aiSpot('ai-1', 'Efes Gozleme'),
+  aiSpot('ai-2', 'Anatolia Bakery'),
+  aiSpot('ai-3', 'Zeytin Evi'),
+  aiSpot('ai-4', 'Sultan Mangal', { evidence: [{ kind: 'ai', source: 'cache-builder', detail: 'Dalston', at: '2026-10-01T00:00:00.000Z' }] }),
+  aiSpot('ai-5', 'Pide Ustasi', { hidden: true }),
+  aiSpot('ai-6', 'Kervan Sofrasi', { hidden: true, verification: { status: 'unverified', hidByVerify: true } }),
+  { id: 'pl-1', name: 'Sultan Mangal Dalston', lat: 51.5461, lng: -0.0751, placeId: 'p-sultan', source: 'places' },
+];
+
+const place = (id, name, extra = {}) => ({
+  id, displayName: { text: name }, formattedAddress: 'Kingsland High St, London E8, UK',
+  location: { latitude: 51.5462, longitude: -0.0752 }, businessStatus: 'OPERATIONAL', ...extra,
+});
+
+const PLACES = [
+  place('p-efes', 'Efes Gozleme', { rating: 4.4, userRatingCount: 120 }),
+  place('p-anatolia', 'Anatolia Bakery', { businessStatus: 'CLOSED_PERMANENTLY' }),
+  place('p-sultan', 'Sultan Mangal', { types: ['turkish_restaurant'] }),
+  place('p-pide', 'Pide Ustasi'),
+  place('p-kervan', 'Kervan Sofrasi'),
+];
+
+// Runs verify over SPOTS with the output muted. Resolves to the stored
+// spots by id and the queries the fake client was sent.
+async function runVerify(opts = {}) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gozleme-verify-')), 'spots.json');
+  fs.writeFileSync(file, JSON.stringify({ spots: SPOTS, curated: [] }));
+  const store = createSpotStore({ file });
+  const places = createFakePlacesClient({ places: PLACES });
+
+  const { log } = console;
+  const { write } = process.stdout;
+  console.log = () => {};
+  process.stdout.write = () => true;
+  try {
+    await verify.run({ recheck: true, ...opts }, { store, config: loadRegion('london'), dryRun: false, places });
+  } finally {
+    console.log = log;
+    process.stdout.write = write;
+  }
+  const { spots } = await store.read();
+  return { byId: Object.fromEntries(spots.map(s => [s.id, s])), calls: places.calls };
+}
+
+test('each AI spot is marked verified, closed, unverified or duplicate', async () => {
+  const { byId } = await runVerify();
+
+  assert.equal(byId['ai-1'].verification.status, 'verified');
+  assert.equal(byId['ai-1'].placeId, 'p-efes');
+  assert.equal(byId['ai-1'].rating, 4.4);
+  assert.ok(!byId['ai-1'].hidden);
+
+  assert.equal(byId['ai-2'].verification.status, 'closed');
+  assert.equal(byId['ai-2'].hidden, true);
+
+  assert.equal(byId['ai-3'].verification.status, 'unverified');
+  assert.equal(byId['ai-3'].verification.placeId, null);
+  assert.equal(byId['ai-3'].hidden, true);
+
+  assert.equal(byId['ai-4'].verification.status, 'duplicate');
+  assert.equal(byId['ai-4'].verification.duplicateOf, 'pl-1');
+  assert.equal(byId['ai-4'].hidden, true);
+  assert.ok(byId['pl-1'].evidence.some(r => r.kind === 'ai' && r.detail === 'Dalston'), 'the duplicate\'s evidence moves to the existing spot');
+  assert.ok(byId['pl-1'].evidence.some(r => r.kind === 'places-type'));
+});
+
+test('a spot an admin hid stays hidden even when it verifies', async () => {
+  const { byId } = await runVerify();
+  assert.equal(byId['ai-5'].verification.status, 'verified');
+  assert.equal(byId['ai-5'].hidden, true);
+  assert.equal(byId['ai-5'].verification.hidByVerify, false);
+});
+
+test('a spot an earlier run hid is shown again once it verifies', async () => {
+  const { byId } = await runVerify();
+  assert.equal(byId['ai-6'].verification.status, 'verified');
+  assert.equal(byId['ai-6'].hidden, false);
+});
+
+test('each AI spot is searched once, by name and address, in store order', async () => {
+  const { calls } = await runVerify();
+  assert.deepEqual(calls, SPOTS.filter(s => s.source === 'ai').map(s => s.name + ', ' + s.address + ', London'));
+});
+
+test('without --recheck only unchecked spots are searched, up to --limit', async () => {
+  const { calls, byId } = await runVerify({ recheck: false, limit: 2 });
+  assert.deepEqual(calls, ['Efes Gozleme, 1 Kingsland High St, London', 'Anatolia Bakery, 2 Kingsland High St, London']);
+  assert.equal(byId['ai-3'].verification, undefined);
+});
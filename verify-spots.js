@@ -0,0 +1,8 @@
+/**
+ * Gözleme Finder — AI Spot Verifier
+ *
+ * Kept so `node verify-spots.js` still works — same as `gozleme verify`
+ * (see lib/commands/verify.js), and takes the same options.
+ */
+
+require('./lib/cli').run(['verify', ...process.argv.slice(2)]);